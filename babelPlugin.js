@@ -0,0 +1,86 @@
+const { instrumentHooks } = require('./codeTransformer');
+const { instrumentStateSetters } = require('./useStateLogger');
+const {
+  instrumentFunctions,
+  getFunctionCategory,
+} = require('./functionLogger');
+const { instrumentProfiler } = require('./performanceMonitoring');
+const {
+  getPluginOptions,
+  isInstrumentationEnabled,
+} = require('./pluginOptions');
+
+// Applies the same instrumentation as the scripts while the code is being
+// built, so the files on disk are never changed. List it before other
+// plugins and presets: it works on the untouched source in Program enter.
+function debugEffectsPlugin(api, options = {}) {
+  const settings = getPluginOptions(options);
+
+  return {
+    name: 'debugeffects',
+    visitor: {
+      Program(programPath, state) {
+        if (!isInstrumentationEnabled(options)) {
+          return;
+        }
+
+        const filePath = state.filename || 'unknown';
+        let instrumented = 0;
+
+        if (settings.effects) {
+          const result = instrumentHooks(
+            programPath,
+            state.file.code,
+            filePath,
+            {
+              hooks: settings.hooks,
+              loop: settings.loop,
+              logPrefix: settings.logPrefix,
+              runtimeModule: settings.runtimeModule,
+              rootDir: settings.rootDir || state.cwd,
+            },
+          );
+          result.warnings.forEach((warning) => {
+            console.warn(`Warning: ${warning}`);
+          });
+          instrumented += result.effectsCount;
+        }
+        if (settings.state) {
+          instrumented += instrumentStateSetters(
+            programPath,
+            settings.runtimeModule,
+          ).settersLogged;
+        }
+        if (
+          settings.functions.length > 0 ||
+          settings.functionCategories.length > 0
+        ) {
+          instrumented += instrumentFunctions(
+            programPath,
+            (functionName) =>
+              settings.functions.includes(functionName) ||
+              settings.functionCategories.includes(
+                getFunctionCategory(functionName),
+              ),
+            settings.runtimeModule,
+          ).modifiedFunctions;
+        }
+        if (settings.profile) {
+          instrumented += instrumentProfiler(
+            programPath,
+            settings.profile,
+            settings.runtimeModule,
+          ).wrappedComponents;
+        }
+
+        // Register the injected imports, so later plugins such as the
+        // TypeScript one do not drop them as unused
+        if (instrumented > 0) {
+          programPath.scope.crawl();
+        }
+      },
+    },
+  };
+}
+
+module.exports = debugEffectsPlugin;
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Every run that writes files first copies the originals to
+// `.debugeffects/backup/<id>`, next to a manifest.json listing them
+const STATE_DIR = '.debugeffects';
+
+class BackupError extends Error {}
+
+function getStateDir(rootDir) {
+  const stateDir = path.join(rootDir, STATE_DIR);
+  if (!fs.existsSync(stateDir)) {
+    fs.mkdirSync(stateDir, { recursive: true });
+    // Keeps the backups out of commits without touching the project's
+    // own .gitignore
+    fs.writeFileSync(path.join(stateDir, '.gitignore'), '*\n');
+  }
+  return stateDir;
+}
+
+function getBackupRoot(rootDir) {
+  return path.join(getStateDir(rootDir), 'backup');
+}
+
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// Where the original of `filePath` is kept inside the backup, mirroring its
+// path relative to the project root
+function getBackupFile(rootDir, filePath) {
+  const relativePath = path.relative(rootDir, path.resolve(filePath));
+  return relativePath.startsWith('..') || path.isAbsolute(relativePath)
+    ? path.join('_external', path.resolve(filePath).replace(/^[\\/]+|:/g, ''))
+    : relativePath;
+}
+
+// `files` are `{ filePath, original, modified }`. Returns the id of the
+// backup, a timestamp such as `2024-05-01T10-20-30-123Z`.
+function createBackup(rootDir, files) {
+  const backupRoot = getBackupRoot(rootDir);
+  let id = new Date().toISOString().replace(/[:.]/g, '-');
+  for (let suffix = 1; fs.existsSync(path.join(backupRoot, id)); suffix++) {
+    id = `${id.replace(/_\d+$/, '')}_${suffix}`;
+  }
+  const backupDir = path.join(backupRoot, id);
+
+  const entries = files.map(({ filePath, original, modified }) => {
+    const backupFile = getBackupFile(rootDir, filePath);
+    fs.mkdirSync(path.dirname(path.join(backupDir, backupFile)), {
+      recursive: true,
+    });
+    fs.writeFileSync(path.join(backupDir, backupFile), original);
+    return {
+      filePath: path.resolve(filePath),
+      backupFile,
+      hash: hashContent(modified),
+    };
+  });
+
+  fs.writeFileSync(
+    path.join(backupDir, 'manifest.json'),
+    JSON.stringify(
+      { id, createdAt: new Date().toISOString(), files: entries },
+      null,
+      2,
+    ),
+  );
+  return id;
+}
+
+function removeBackup(rootDir, id) {
+  fs.rmSync(path.join(rootDir, STATE_DIR, 'backup', id), {
+    recursive: true,
+    force: true,
+  });
+}
+
+// Manifests of all backups, oldest first
+function listBackups(rootDir) {
+  const backupRoot = path.join(rootDir, STATE_DIR, 'backup');
+  if (!fs.existsSync(backupRoot)) {
+    return [];
+  }
+  return fs
+    .readdirSync(backupRoot)
+    .filter((id) => fs.existsSync(path.join(backupRoot, id, 'manifest.json')))
+    .sort()
+    .map((id) =>
+      JSON.parse(
+        fs.readFileSync(path.join(backupRoot, id, 'manifest.json'), 'utf-8'),
+      ),
+    );
+}
+
+function readFile(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '';
+}
+
+// Whether the files still hold what the run of the backup wrote
+function isCurrent(backup) {
+  return backup.files.every(
+    ({ filePath, hash }) => hashContent(readFile(filePath)) === hash,
+  );
+}
+
+// `debugeffects restore [<id>]`: puts back the originals of the given
+// backup, or of the latest one whose files were not changed since, so
+// repeated calls undo one run after the other. Files edited since the run of
+// the backup are left alone unless `force`. The backups are looked up in
+// the project at `rootDir`.
+function run(ids, options) {
+  const { rootDir } = options;
+  const backups = listBackups(rootDir);
+  const failures = [];
+
+  if (options.list) {
+    backups.forEach((backup) => {
+      logger.info(`${backup.id}  ${backup.files.length} files`);
+    });
+    return { failures, backups, total: 0 };
+  }
+
+  const backup =
+    ids.length > 0
+      ? backups.find((candidate) => candidate.id === ids[0])
+      : backups.reverse().find(isCurrent);
+  if (!backup) {
+    throw new BackupError(
+      ids.length > 0
+        ? `Unknown backup: ${ids[0]}`
+        : 'No backup matches the current files, pass a backup id and --force',
+    );
+  }
+
+  let total = 0;
+  const backupDir = path.join(rootDir, STATE_DIR, 'backup', backup.id);
+  logger.info(`Restoring ${backup.files.length} files from ${backup.id}`);
+  backup.files.forEach(({ filePath, backupFile, hash }) => {
+    try {
+      const current = fs.existsSync(filePath) ? readFile(filePath) : null;
+      if (current === null && !options.force) {
+        throw new Error('deleted since the backup, pass --force to restore it');
+      }
+      if (current !== null && hashContent(current) !== hash && !options.force) {
+        throw new Error('changed since the backup, pass --force to overwrite');
+      }
+      options.writer.write(
+        filePath,
+        current,
+        readFile(path.join(backupDir, backupFile)),
+        { restored: 1 },
+      );
+      total++;
+    } catch (error) {
+      logger.reportFailure(filePath, error, failures);
+    }
+  });
+
+  return { failures, backup: backup.id, total };
+}
+
+module.exports = {
+  BackupError,
+  getStateDir,
+  createBackup,
+  removeBackup,
+  listBackups,
+  hashContent,
+  run,
+};
@@ -0,0 +1,35 @@
+const babel = require('@babel/core');
+const debugEffectsPlugin = require('./babelPlugin');
+const { getParserPlugins } = require('./parserOptions');
+
+function shouldTransform(filePath) {
+  return (
+    /\.(jsx?|tsx?|mjs|cjs)$/.test(filePath) &&
+    !filePath.split(/[\\/]/).includes('node_modules')
+  );
+}
+
+// Runs only the debugeffects plugin, without the project's Babel config, so
+// the loader and the Vite plugin can sit in front of any other compiler
+// The returned map is chained onto `inputMap`, the map of any loader that
+// ran before, so it points back to the original source.
+async function transformForBundler(code, filePath, options = {}, inputMap) {
+  const result = await babel.transformAsync(code, {
+    filename: filePath,
+    babelrc: false,
+    configFile: false,
+    retainLines: true,
+    sourceMaps: true,
+    inputSourceMap: inputMap || undefined,
+    parserOpts: {
+      plugins: [...getParserPlugins(filePath), 'decorators-legacy'],
+    },
+    plugins: [[debugEffectsPlugin, { ...options, enabled: true }]],
+  });
+  return { code: result.code, map: result.map };
+}
+
+module.exports = {
+  shouldTransform,
+  transformForBundler,
+};
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+const { getStateDir, createBackup, removeBackup } = require('./backups');
+const { listDirtyFiles, toRealPath } = require('./gitScope');
+const { hasInstrumentation } = require('./instrumentationMarker');
+const logger = require('./logger');
+
+// Labels for the counts each tool reports when it changes a file
+const COUNT_LABELS = {
+  hooks: 'Hooks',
+  setters: 'State setters',
+  functions: 'Functions',
+  components: 'Components',
+  removed: 'Instrumentation nodes',
+  restored: 'Restored files',
+};
+
+class WriteError extends Error {}
+
+// Moves a staged file over the original, keeping the original's mode
+function replaceFile(stagedPath, filePath) {
+  if (fs.existsSync(filePath)) {
+    fs.chmodSync(stagedPath, fs.statSync(filePath).mode);
+  } else {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+  try {
+    fs.renameSync(stagedPath, filePath);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    fs.copyFileSync(stagedPath, filePath);
+    fs.unlinkSync(stagedPath);
+  }
+}
+
+// Collects the changes of a run and writes them all at once in commit(), so
+// a failing file does not leave the others half instrumented
+class ChangeWriter {
+  // `silent` keeps diffs and the dry-run summary off stdout, e.g. for JSON
+  // output, and only collects them for getSummary(). `partial` writes the
+  // changed files even when others failed, `allowDirty` also changes files
+  // with uncommitted git changes and `backup` copies the originals to
+  // `.debugeffects/backup` first.
+  constructor({
+    dryRun = false,
+    patchFile = null,
+    silent = false,
+    partial = false,
+    allowDirty = false,
+    backup = true,
+    rootDir = process.cwd(),
+  } = {}) {
+    this.dryRun = dryRun || Boolean(patchFile);
+    this.patchFile = patchFile;
+    this.silent = silent;
+    this.partial = partial;
+    this.allowDirty = allowDirty;
+    this.backup = backup;
+    this.rootDir = rootDir;
+    this.patches = [];
+    this.staged = [];
+    this.backups = [];
+    this.filesChanged = 0;
+    this.counts = {};
+  }
+
+  addCounts(counts) {
+    this.filesChanged++;
+    Object.entries(counts).forEach(([key, count]) => {
+      this.counts[key] = (this.counts[key] || 0) + count;
+    });
+  }
+
+  // Stages the new content in `.debugeffects/staging` until commit(), or
+  // only records a diff of it in dry-run mode. `original` is null for a file
+  // that does not exist, e.g. one deleted since a backup. `message` is
+  // printed once commit() has written the file.
+  write(filePath, original, modified, counts = {}, message = null) {
+    if (!this.dryRun) {
+      if (!this.stagingDir) {
+        this.stagingDir = fs.mkdtempSync(
+          path.join(getStateDir(this.rootDir), 'staging-'),
+        );
+      }
+      const stagedPath = path.join(
+        this.stagingDir,
+        `${this.staged.length}${path.extname(filePath)}`,
+      );
+      fs.writeFileSync(stagedPath, modified);
+      this.staged.push({
+        filePath,
+        original,
+        modified,
+        stagedPath,
+        counts,
+        message,
+      });
+      return;
+    }
+
+    this.addCounts(counts);
+    const relativePath = path
+      .relative(process.cwd(), filePath)
+      .split(path.sep)
+      .join('/');
+    const patch = createTwoFilesPatch(
+      `a/${relativePath}`,
+      `b/${relativePath}`,
+      original || '',
+      modified,
+    );
+
+    if (this.patchFile || this.silent) {
+      this.patches.push(patch);
+    } else {
+      process.stdout.write(`\n${patch}`);
+    }
+  }
+
+  // Files with uncommitted git changes that are not our own instrumentation
+  findDirtyFiles(staged) {
+    const dirty = listDirtyFiles(
+      path.dirname(path.resolve(staged[0].filePath)),
+    );
+    return staged
+      .filter(({ filePath }) => dirty.has(toRealPath(filePath)))
+      .filter(
+        ({ original }) => original === null || !hasInstrumentation(original),
+      )
+      .map(({ filePath }) => filePath);
+  }
+
+  // Writes the staged files after backing up their originals. Nothing is
+  // written when one of `failures` happened in this run, unless `partial`,
+  // or when a file has uncommitted changes or was edited since it was read.
+  // When moving a file into place fails, the files moved before it are put
+  // back. Returns the number of files written.
+  commit(failures = []) {
+    const staged = this.staged;
+    this.staged = [];
+    if (staged.length === 0) {
+      return 0;
+    }
+
+    try {
+      const failedFiles = new Set(failures.map(({ filePath }) => filePath));
+      if (failedFiles.size > 0 && !this.partial) {
+        logger.warn(
+          `No files were written because ${failedFiles.size} files failed. ` +
+            'Pass --partial to write the other files.',
+        );
+        return 0;
+      }
+
+      const dirtyFiles = this.allowDirty ? [] : this.findDirtyFiles(staged);
+      if (dirtyFiles.length > 0) {
+        throw new WriteError(
+          `No files were written because these files have uncommitted ` +
+            `changes (pass --allow-dirty to change them anyway):\n  ${dirtyFiles.join('\n  ')}`,
+        );
+      }
+      const editedFiles = staged
+        .filter(({ filePath, original }) =>
+          original === null
+            ? fs.existsSync(filePath)
+            : !fs.existsSync(filePath) ||
+              fs.readFileSync(filePath, 'utf-8') !== original,
+        )
+        .map(({ filePath }) => filePath);
+      if (editedFiles.length > 0) {
+        throw new WriteError(
+          `No files were written because these files changed during the ` +
+            `run:\n  ${editedFiles.join('\n  ')}`,
+        );
+      }
+
+      const backupId = this.backup ? createBackup(this.rootDir, staged) : null;
+      const written = [];
+      try {
+        staged.forEach((entry) => {
+          replaceFile(entry.stagedPath, entry.filePath);
+          written.push(entry);
+        });
+      } catch (error) {
+        written.forEach(({ filePath, original }) => {
+          if (original === null) {
+            fs.rmSync(filePath, { force: true });
+          } else {
+            fs.writeFileSync(filePath, original);
+          }
+        });
+        if (backupId) {
+          removeBackup(this.rootDir, backupId);
+        }
+        throw new WriteError(
+          `No files were written: ${error.message}. ` +
+            `The ${written.length} files written before were put back.`,
+        );
+      }
+
+      staged.forEach(({ message }) => {
+        if (message) logger.info(message);
+      });
+      if (backupId) {
+        this.backups.push(backupId);
+        logger.info(
+          `Backed up ${staged.length} files to .debugeffects/backup/${backupId}`,
+        );
+      }
+      staged.forEach(({ counts }) => this.addCounts(counts));
+      return staged.length;
+    } finally {
+      staged.forEach(({ stagedPath }) =>
+        fs.rmSync(stagedPath, { force: true }),
+      );
+    }
+  }
+
+  finish() {
+    if (this.stagingDir) {
+      fs.rmSync(this.stagingDir, { recursive: true, force: true });
+    }
+    if (this.patchFile) {
+      fs.writeFileSync(this.patchFile, this.patches.join(''));
+      if (!this.silent) {
+        console.log(`\nPatch written to ${this.patchFile}`);
+      }
+    }
+    if (this.dryRun && !this.silent) {
+      this.printSummary();
+    }
+  }
+
+  getSummary() {
+    const summary = {
+      dryRun: this.dryRun,
+      filesChanged: this.filesChanged,
+      counts: this.counts,
+    };
+    if (this.dryRun && !this.patchFile) {
+      summary.patch = this.patches.join('');
+    }
+    if (this.backups.length > 0) {
+      summary.backups = this.backups;
+    }
+    return summary;
+  }
+
+  printSummary() {
+    console.log('\nDry run - no files were written.');
+    console.log(`Files that would change: ${this.filesChanged}`);
+    Object.entries(this.counts).forEach(([key, count]) => {
+      console.log(
+        `${COUNT_LABELS[key] || key} that would be touched: ${count}`,
+      );
+    });
+  }
+}
+
+module.exports = {
+  WriteError,
+  ChangeWriter,
+};
@@ -0,0 +1,691 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ChangeWriter, WriteError } = require('./changeWriter');
+const { listSourceFiles } = require('./sourceFiles');
+const { checkDependencies } = require('./utils');
+const {
+  ConfigError,
+  loadConfig,
+  getCommandConfig,
+  findProjectRoot,
+} = require('./config');
+const { GitError, listChangedFiles, toRealPath } = require('./gitScope');
+const { createTaskRunner } = require('./taskRunner');
+const { clearParseCache } = require('./parseCache');
+const {
+  createTarget,
+  createNameMatcher,
+  findUnmatchedNames,
+  isCustomHookName,
+} = require('./targetFilter');
+const { watchFiles } = require('./watchMode');
+const { BackupError } = require('./backups');
+const logger = require('./logger');
+
+// Exit codes, as in ESLint: 0 when every file was processed, 1 when some
+// files failed, 2 for usage errors, bad config files, git errors and crashes
+const EXIT_SUCCESS = 0;
+const EXIT_FAILURES = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+const SHARED_OPTIONS = {
+  include: {
+    type: 'string',
+    multiple: true,
+    value: '<glob>',
+    description: 'Only use the files matching the glob, can be repeated',
+  },
+  exclude: {
+    type: 'string',
+    multiple: true,
+    value: '<glob>',
+    description: 'Skip the files matching the glob, can be repeated',
+  },
+  since: {
+    type: 'string',
+    value: '<ref>',
+    description: 'Only use the files changed since the git ref',
+  },
+  staged: {
+    type: 'boolean',
+    description: 'Only use the files staged in git',
+  },
+  'with-importers': {
+    type: 'boolean',
+    description: 'With --since or --staged, add the files rendering them',
+  },
+  jobs: {
+    type: 'string',
+    value: '<n>',
+    description: 'Parse and transform files on n worker threads',
+  },
+  'dry-run': {
+    type: 'boolean',
+    description: 'Print a diff instead of writing the files',
+  },
+  patch: {
+    type: 'string',
+    value: '<file>',
+    description: 'Write the diff to a patch file instead of the files',
+  },
+  partial: {
+    type: 'boolean',
+    description: 'Write the changed files even when others failed',
+  },
+  'allow-dirty': {
+    type: 'boolean',
+    description: 'Also change files with uncommitted git changes',
+  },
+  config: {
+    type: 'string',
+    value: '<file>',
+    description: 'Use this config file instead of looking for .debugeffectsrc',
+  },
+  format: {
+    type: 'string',
+    value: 'text|json',
+    description: 'Print progress as text (default) or a JSON result',
+  },
+  verbose: {
+    type: 'boolean',
+    short: 'v',
+    description: 'Print details for every file',
+  },
+  quiet: {
+    type: 'boolean',
+    short: 'q',
+    description: 'Only print warnings and errors',
+  },
+  help: {
+    type: 'boolean',
+    short: 'h',
+    description: 'Show the help of the command',
+  },
+};
+
+const INSTRUMENT_OPTIONS = {
+  runtime: {
+    type: 'string',
+    value: '<module>',
+    description: 'Module the instrumented code imports its helpers from',
+  },
+  'source-map': {
+    type: 'boolean',
+    description: 'Append an inline source map to the changed files',
+  },
+  watch: {
+    type: 'boolean',
+    description: 'Instrument changed files again until Ctrl-C, then remove',
+  },
+};
+
+// Narrow the instrumentation down to one component, hook or line
+const TARGET_OPTIONS = {
+  component: {
+    type: 'string',
+    multiple: true,
+    value: '<name|regex>',
+    description: 'Only instrument in the matching components',
+  },
+  hook: {
+    type: 'string',
+    multiple: true,
+    value: '<name|regex>',
+    description: 'Only instrument in the matching custom hooks, e.g. useFetch',
+  },
+  line: {
+    type: 'string',
+    multiple: true,
+    value: '<file:line>',
+    description: 'Only instrument the hook or call on the line',
+  },
+  within: {
+    type: 'string',
+    multiple: true,
+    value: '<Component>',
+    description: 'Only instrument the component and all it renders',
+  },
+};
+
+const COMMANDS = {
+  effects: {
+    description: 'Log when hooks run, why they ran and possible loops',
+    options: {
+      hooks: {
+        type: 'string',
+        value: '<names>',
+        description: 'Comma-separated hooks to instrument, e.g. useEffect',
+      },
+      'analyze-deps': {
+        type: 'boolean',
+        description: 'Only report missing and unstable dependencies',
+      },
+      'loop-threshold': {
+        type: 'string',
+        value: '<runs>',
+        description: 'Runs within the loop window reported as a loop',
+      },
+      'loop-window': {
+        type: 'string',
+        value: '<ms>',
+        description: 'Time window of the loop detection',
+      },
+      'stop-on-loop': {
+        type: 'boolean',
+        description: 'Mute the logs of a hook once its loop is reported',
+      },
+      ...TARGET_OPTIONS,
+      ...INSTRUMENT_OPTIONS,
+    },
+    run: (files, options) =>
+      require('./debugUseEffects').runEffects(files, options),
+  },
+  state: {
+    description: 'Log every useState setter call',
+    options: { ...TARGET_OPTIONS, ...INSTRUMENT_OPTIONS },
+    run: (files, options) => require('./useStateLogger').run(files, options),
+  },
+  functions: {
+    description: 'Log calls of the functions picked in a menu',
+    options: {
+      functions: {
+        type: 'string',
+        value: '<names>',
+        description: 'Comma-separated functions to log, skips the menu',
+      },
+      categories: {
+        type: 'string',
+        value: '<names>',
+        description: 'Comma-separated categories (hooks, handlers, utils)',
+      },
+      ...TARGET_OPTIONS,
+      ...INSTRUMENT_OPTIONS,
+    },
+    // Whether the run asks which functions to log
+    prompts: (options) =>
+      !options.functions && !options.categories && !options.target,
+    run: (files, options) => require('./functionLogger').run(files, options),
+  },
+  profile: {
+    description: 'Wrap the components picked in a prompt in a <Profiler>',
+    options: {
+      components: {
+        type: 'string',
+        value: '<names>',
+        description: 'Comma-separated components to wrap, skips the prompt',
+      },
+      all: {
+        type: 'boolean',
+        description: 'Wrap every component, skips the prompt',
+      },
+      ...TARGET_OPTIONS,
+      ...INSTRUMENT_OPTIONS,
+    },
+    prompts: (options) =>
+      !options.components && !options.all && !options.target,
+    run: (files, options) =>
+      require('./performanceMonitoring').run(files, options),
+  },
+  'analyze-state': {
+    description: 'Report expensive useState initializations',
+    options: {
+      'max-findings': {
+        type: 'string',
+        value: '<n>',
+        description: 'Exit with 1 when there are more findings than n',
+      },
+    },
+    // `--format sarif`, besides text and json
+    formats: {
+      sarif: (result) =>
+        require('./useStateInitializationAnalyzer').toSarif(result.findings),
+    },
+    run: (files, options) =>
+      require('./useStateInitializationAnalyzer').run(files, options),
+  },
+  remove: {
+    description: 'Remove all instrumentation added by the other commands',
+    options: {},
+    run: (files, options) =>
+      require('./debugUseEffects').runRemove(files, options),
+  },
+  restore: {
+    description: 'Put back the files saved by the last or the given run',
+    usage: '[options] [<backup>]',
+    // Takes a backup id instead of paths and writes without a backup
+    paths: false,
+    writer: { backup: false, allowDirty: true, partial: true },
+    options: {
+      list: {
+        type: 'boolean',
+        description: 'List the backups instead of restoring one',
+      },
+      force: {
+        type: 'boolean',
+        description: 'Also overwrite files edited since the backup',
+      },
+    },
+    run: (ids, options) => require('./backups').run(ids, options),
+  },
+};
+
+// Options given as comma-separated lists
+const LIST_OPTIONS = ['hooks', 'functions', 'categories', 'components'];
+
+function formatOptions(options) {
+  return Object.entries(options).map(([name, option]) => {
+    const flag = `${option.short ? `-${option.short}, ` : '    '}--${name}${
+      option.value ? ` ${option.value}` : ''
+    }`;
+    return `  ${flag.padEnd(30)} ${option.description}`;
+  });
+}
+
+function getUsage(commandName) {
+  if (!COMMANDS[commandName]) {
+    return [
+      'Usage: debugeffects <command> [options] <path...>',
+      '',
+      'Commands:',
+      ...Object.entries(COMMANDS).map(
+        ([name, command]) => `  ${name.padEnd(15)} ${command.description}`,
+      ),
+      '',
+      'Options:',
+      ...formatOptions(SHARED_OPTIONS),
+      '',
+      'Run `debugeffects <command> --help` for the options of a command.',
+    ].join('\n');
+  }
+
+  const command = COMMANDS[commandName];
+  const lines = [
+    `Usage: debugeffects ${commandName} ${
+      command.usage || '[options] <path...>'
+    }`,
+    '',
+    command.description,
+  ];
+  if (Object.keys(command.options).length > 0) {
+    lines.push('', 'Command options:', ...formatOptions(command.options));
+  }
+  lines.push('', 'Options:', ...formatOptions(SHARED_OPTIONS));
+  return lines.join('\n');
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+// Turns the parsed flags into the options of the command's run function.
+// Flags win over the config file, except that `--exclude` adds to its
+// exclude globs.
+function getCommandOptions(values, commandConfig, command) {
+  const flags = {};
+  Object.entries(values).forEach(([name, value]) => {
+    flags[toCamelCase(name)] = LIST_OPTIONS.includes(name)
+      ? value.split(',').filter(Boolean)
+      : value;
+  });
+  const options = {
+    ...commandConfig,
+    ...flags,
+    exclude: [...commandConfig.exclude, ...(flags.exclude || [])],
+  };
+
+  const formats = ['text', 'json', ...Object.keys(command.formats || {})];
+  if (options.format && !formats.includes(options.format)) {
+    throw new UsageError(`Unknown format: ${options.format}`);
+  }
+  if (options.maxFindings !== undefined) {
+    options.maxFindings = Number(options.maxFindings);
+    if (!Number.isInteger(options.maxFindings) || options.maxFindings < 0) {
+      throw new UsageError('max-findings must be a non-negative integer');
+    }
+  }
+  if (options.jobs !== undefined) {
+    options.jobs = Number(options.jobs);
+    if (!Number.isInteger(options.jobs) || options.jobs < 1) {
+      throw new UsageError('jobs must be a positive integer');
+    }
+  }
+  ['loopThreshold', 'loopWindow'].forEach((key) => {
+    if (options[key] !== undefined && !(Number(options[key]) > 0)) {
+      throw new UsageError(`${key} must be a positive number`);
+    }
+  });
+  if (options.since && options.staged) {
+    throw new UsageError('--since and --staged cannot be combined');
+  }
+  if (options.withImporters && !options.since && !options.staged) {
+    throw new UsageError('--with-importers needs --since or --staged');
+  }
+  if (options.watch && (options.dryRun || options.patch)) {
+    throw new UsageError(
+      '--watch cannot be combined with --dry-run or --patch',
+    );
+  }
+  (options.line || []).forEach((value) => {
+    const match = /^(.+):(\d+)$/.exec(value);
+    if (!match || Number(match[2]) < 1) {
+      throw new UsageError(`--line must be <file>:<line>, got ${value}`);
+    }
+  });
+  [...(options.component || []), ...(options.hook || [])].forEach((pattern) => {
+    try {
+      createNameMatcher(pattern);
+    } catch (error) {
+      throw new UsageError(`Invalid pattern ${pattern}: ${error.message}`);
+    }
+  });
+  const { HOOK_KINDS } = require('./codeTransformer');
+  (options.hook || []).forEach((name) => {
+    if (HOOK_KINDS[name]) {
+      throw new UsageError(
+        `--hook takes a custom hook such as useFetch, pass ${name} to --hooks`,
+      );
+    }
+    if (/^[\w$]+$/.test(name) && !isCustomHookName(name)) {
+      throw new UsageError(`--hook takes a custom hook, got ${name}`);
+    }
+  });
+  if (options.hooks) {
+    const unknownHooks = options.hooks.filter((hook) => !HOOK_KINDS[hook]);
+    if (unknownHooks.length > 0) {
+      throw new UsageError(`Unknown hook kind: ${unknownHooks.join(', ')}`);
+    }
+  }
+
+  return options;
+}
+
+// Keeps the files git reports as changed and, with `withImporters`, adds
+// the files of the components rendering the changed ones. Git runs in the
+// repository of the first target path.
+function filterChangedFiles(files, targetPaths, options) {
+  const targetPath = path.resolve(targetPaths[0]);
+  const changed = listChangedFiles(
+    options,
+    fs.statSync(targetPath).isDirectory()
+      ? targetPath
+      : path.dirname(targetPath),
+  );
+  const changedFiles = files.filter((filePath) =>
+    changed.has(toRealPath(filePath)),
+  );
+  if (!options.withImporters) {
+    return changedFiles;
+  }
+
+  const { ComponentAnalyzer } = require('./performanceMonitoring');
+  const analyzer = new ComponentAnalyzer();
+  try {
+    files.forEach((filePath) => analyzer.analyzeFile(filePath));
+    return [
+      ...new Set([...changedFiles, ...analyzer.getImporterFiles(changedFiles)]),
+    ].sort();
+  } finally {
+    // The ASTs scanComponents keeps for the profile command would stay in
+    // memory for the whole run
+    clearParseCache();
+  }
+}
+
+// The components given with `--within` and every component they render,
+// from the component graph of all files
+function expandWithin(files, names) {
+  const { ComponentAnalyzer } = require('./performanceMonitoring');
+  const analyzer = new ComponentAnalyzer();
+  try {
+    files.forEach((filePath) => analyzer.analyzeFile(filePath));
+    const unknown = names.filter(
+      (name) => analyzer.findComponents(name).length === 0,
+    );
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown component: ${unknown.join(', ')}`);
+    }
+    return analyzer.getDescendants(names);
+  } finally {
+    clearParseCache();
+  }
+}
+
+// Fails like expandWithin when a `--component` or `--hook` filter matches
+// nothing, instead of silently instrumenting nothing
+function checkTargetNames(files, options) {
+  if (!options.component && !options.hook) {
+    return;
+  }
+  const unmatched = findUnmatchedNames(files, options);
+  if (unmatched.component.length > 0) {
+    throw new UsageError(
+      `Unknown component: ${unmatched.component.join(', ')}`,
+    );
+  }
+  if (unmatched.hook.length > 0) {
+    throw new UsageError(`Unknown custom hook: ${unmatched.hook.join(', ')}`);
+  }
+}
+
+// Runs the command on `files` and writes all of its changes at once, unless
+// the run or `failures` found beforehand have failures
+async function runCommand(command, files, options, writerOptions, failures) {
+  const writer = new ChangeWriter(writerOptions);
+  const runner = createTaskRunner(options.jobs);
+  let result;
+  try {
+    result = await command.run(files, { ...options, writer, runner });
+  } finally {
+    await runner.close();
+  }
+  result.failures.unshift(...(failures || []));
+  try {
+    writer.commit(result.failures);
+  } finally {
+    writer.finish();
+  }
+  return { result, writer };
+}
+
+function parseCommand(argv) {
+  const [commandName, ...args] = argv;
+  const command = COMMANDS[commandName];
+  if (!command) {
+    throw new UsageError(
+      commandName && !commandName.startsWith('-')
+        ? `Unknown command: ${commandName}`
+        : 'Please provide a command',
+    );
+  }
+
+  try {
+    const { values, positionals } = parseArgs({
+      args,
+      options: { ...SHARED_OPTIONS, ...command.options },
+      allowPositionals: true,
+    });
+    return { commandName, command, values, positionals };
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+async function main(argv = process.argv.slice(2)) {
+  if (argv.length === 0 || argv[0] === '--help' || argv[0] === '-h') {
+    console.log(getUsage());
+    return argv.length === 0 ? EXIT_USAGE : EXIT_SUCCESS;
+  }
+
+  const commandName = argv[0];
+  try {
+    const { command, values, positionals } = parseCommand(argv);
+
+    if (values.help) {
+      console.log(getUsage(commandName));
+      return EXIT_SUCCESS;
+    }
+
+    const { filePath: configFile, config } = loadConfig({
+      configFile: values.config,
+    });
+    const options = getCommandOptions(
+      values,
+      getCommandConfig(config, commandName),
+      command,
+    );
+    const usesPaths = command.paths !== false;
+    if (usesPaths && positionals.length === 0) {
+      throw new UsageError('Please provide a path');
+    }
+    const missingPath = positionals.find(
+      (targetPath) => usesPaths && !fs.existsSync(targetPath),
+    );
+    if (missingPath) {
+      throw new UsageError(`Path not found: ${missingPath}`);
+    }
+
+    if (!checkDependencies()) {
+      return EXIT_USAGE;
+    }
+
+    // Formats of the command's own, such as SARIF, print a JSON document too
+    const report = command.formats && command.formats[options.format];
+    const json = options.format === 'json' || Boolean(report);
+    logger.setVerbosity(
+      json
+        ? 'silent'
+        : options.quiet
+          ? 'quiet'
+          : options.verbose
+            ? 'verbose'
+            : 'normal',
+    );
+
+    // The project of the first path, whatever the working directory. Its
+    // root holds the backups and names the hooks in the logs.
+    const firstPath = usesPaths ? path.resolve(positionals[0]) : process.cwd();
+    const rootDir = findProjectRoot(
+      configFile,
+      fs.statSync(firstPath).isDirectory()
+        ? firstPath
+        : path.dirname(firstPath),
+    );
+    const writerOptions = {
+      dryRun: Boolean(options.dryRun),
+      patchFile: options.patch || null,
+      silent: json,
+      partial: Boolean(options.partial),
+      allowDirty: Boolean(options.allowDirty),
+      rootDir,
+      ...command.writer,
+    };
+    const walkFailures = [];
+    const filters = {
+      include: options.include,
+      exclude: options.exclude,
+      extensions: options.extensions,
+    };
+    let files = positionals;
+    if (usesPaths) {
+      files = listSourceFiles(positionals, {
+        ...filters,
+        failures: walkFailures,
+      });
+      if (options.since || options.staged) {
+        files = filterChangedFiles(files, positionals, options);
+      }
+      logger.verbose(`Found ${files.length} source files`);
+    }
+    checkTargetNames(files, options);
+    const runOptions = {
+      ...options,
+      rootDir,
+      target: createTarget(
+        options,
+        options.within ? expandWithin(files, options.within) : [],
+      ),
+    };
+    if (options.watch && command.prompts && command.prompts(runOptions)) {
+      throw new UsageError(
+        '--watch cannot ask what to instrument, pass the names instead',
+      );
+    }
+
+    const { result, writer } = await runCommand(
+      command,
+      files,
+      runOptions,
+      writerOptions,
+      walkFailures,
+    );
+
+    if (options.watch) {
+      return watchFiles(positionals, filters, {
+        // The changed files are being edited, so they are neither backed up
+        // on every save nor refused as uncommitted changes
+        onChange: (changedFiles) =>
+          runCommand(command, changedFiles, runOptions, {
+            ...writerOptions,
+            backup: false,
+            allowDirty: true,
+          }),
+        onStop: async (allFiles) => {
+          const stopped = await runCommand(
+            COMMANDS.remove,
+            allFiles,
+            options,
+            writerOptions,
+          );
+          return stopped.result.failures.length > 0
+            ? EXIT_FAILURES
+            : EXIT_SUCCESS;
+        },
+      });
+    }
+
+    if (report) {
+      console.log(JSON.stringify(report(result), null, 2));
+    } else if (json) {
+      console.log(
+        JSON.stringify(
+          { command: commandName, ...result, ...writer.getSummary() },
+          null,
+          2,
+        ),
+      );
+    }
+
+    return result.failures.length > 0 || result.limitExceeded
+      ? EXIT_FAILURES
+      : EXIT_SUCCESS;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}\n`);
+      console.error(getUsage(commandName));
+    } else if (
+      error instanceof ConfigError ||
+      error instanceof GitError ||
+      error instanceof WriteError ||
+      error instanceof BackupError
+    ) {
+      console.error(`Error: ${error.message}`);
+    } else {
+      console.error(error);
+    }
+    return EXIT_USAGE;
+  }
+}
+
+module.exports = {
+  main,
+};
+
+if (require.main === module) {
+  main().then((code) => {
+    process.exitCode = code;
+  });
+}
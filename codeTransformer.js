@@ -1,149 +1,638 @@
+const path = require('path');
 const parser = require('@babel/parser');
+const { getParserOptions } = require('./parserOptions');
 const traverse = require('@babel/traverse').default;
-const generate = require('@babel/generator').default;
 const t = require('@babel/types');
+const { markNode, isMarked } = require('./instrumentationMarker');
+const { addRuntimeImport } = require('./runtimeImport');
+const { getSourceMapOptions } = require('./sourceMaps');
+const { printWithSource, printWithSourceMap } = require('./sourcePrinter');
+const { createTargetMatcher } = require('./targetFilter');
+const { LOOP_DEFAULTS } = require('./runtime');
+const {
+  analyzeDependencies,
+  hasDependencyProblems,
+} = require('./dependencyAnalyzer');
 
-let effectCounter = 0;
+// Dependency-driven hooks that can be instrumented. `callbackIndex` and
+// `depsIndex` locate the arguments, `runsCallback` is false for hooks whose
+// callback is not invoked by React when the deps change. `memoizes` marks
+// the hooks whose deps only serve to recompute a value, the only ones where
+// a dep the callback does not read is unnecessary: effects often list one
+// on purpose, to run again when it changes.
+const HOOK_KINDS = {
+  useEffect: {
+    label: 'Effect',
+    callbackIndex: 0,
+    depsIndex: 1,
+    runsCallback: true,
+    tracksCleanup: true,
+    memoizes: false,
+  },
+  useLayoutEffect: {
+    label: 'LayoutEffect',
+    callbackIndex: 0,
+    depsIndex: 1,
+    runsCallback: true,
+    tracksCleanup: true,
+    memoizes: false,
+  },
+  useInsertionEffect: {
+    label: 'InsertionEffect',
+    callbackIndex: 0,
+    depsIndex: 1,
+    runsCallback: true,
+    tracksCleanup: true,
+    memoizes: false,
+  },
+  useMemo: {
+    label: 'Memo',
+    callbackIndex: 0,
+    depsIndex: 1,
+    runsCallback: true,
+    tracksCleanup: false,
+    memoizes: true,
+  },
+  useCallback: {
+    label: 'Callback',
+    callbackIndex: 0,
+    depsIndex: 1,
+    runsCallback: false,
+    tracksCleanup: false,
+    memoizes: true,
+  },
+  useImperativeHandle: {
+    label: 'ImperativeHandle',
+    callbackIndex: 1,
+    depsIndex: 2,
+    runsCallback: true,
+    tracksCleanup: false,
+    memoizes: false,
+  },
+};
 
-function createEffectLogger(componentName, filePath, lineNumber, effectIndex) {
-  return {
-    // Counter variable initialization
-    counterVar: t.variableDeclaration('let', [
+const ALL_HOOKS = Object.keys(HOOK_KINDS);
+
+// Matches `useEffect(...)` as well as `React.useEffect(...)`
+function getHookName(callee) {
+  if (t.isIdentifier(callee)) {
+    return callee.name;
+  }
+  if (
+    t.isMemberExpression(callee) &&
+    t.isIdentifier(callee.object, { name: 'React' }) &&
+    t.isIdentifier(callee.property)
+  ) {
+    return callee.property.name;
+  }
+  return null;
+}
+
+// Every instrumented component gets one of these per mounted instance, so
+// counts and previous deps are tracked per instance instead of per module
+const INSTANCE = 'debugEffectsInstance';
+
+// Arguments shared by every injected helper call:
+// (debugEffectsInstance, N, '[Component_Effect_N]', ...)
+function createHelperCall(helperName, effectIndex, tag, args) {
+  return t.callExpression(t.identifier(helperName), [
+    t.identifier(INSTANCE),
+    t.numericLiteral(effectIndex),
+    t.stringLiteral(tag),
+    ...args,
+  ]);
+}
+
+// Loop settings that differ from the runtime defaults are passed to every
+// instance, the others are left to `configure()` in the app
+function createInstanceDeclaration(componentName, loopOverrides) {
+  const args = [t.stringLiteral(componentName)];
+  if (loopOverrides) {
+    args.push(t.valueToNode(loopOverrides));
+  }
+  return markNode(
+    t.variableDeclaration('const', [
       t.variableDeclarator(
-        t.identifier(`effectCallCount_${effectIndex}`),
-        t.numericLiteral(0),
+        t.identifier(INSTANCE),
+        t.callExpression(t.identifier('useDebugEffectsInstance'), args),
       ),
     ]),
+  );
+}
 
-    // Counter increment
-    incrementCounter: t.expressionStatement(
-      t.assignmentExpression(
-        '+=',
-        t.identifier(`effectCallCount_${effectIndex}`),
-        t.numericLiteral(1),
-      ),
-    ),
+function getLoopOverrides(loop = {}) {
+  const overrides = {};
+  Object.keys(LOOP_DEFAULTS).forEach((key) => {
+    if (loop[key] !== undefined && loop[key] !== LOOP_DEFAULTS[key]) {
+      overrides[key] = loop[key];
+    }
+  });
+  return Object.keys(overrides).length > 0 ? overrides : null;
+}
 
-    // Console log statement
-    logStatement: t.expressionStatement(
-      t.callExpression(
-        t.memberExpression(t.identifier('console'), t.identifier('log')),
-        [
-          t.stringLiteral(
-            `[${componentName}_Effect_${effectIndex}] useEffect at ${filePath}:${lineNumber} - Call count:`,
-          ),
-          t.identifier(`effectCallCount_${effectIndex}`),
-        ],
-      ),
+function createEffectLogger(tag, hookName, lineNumber, effectIndex) {
+  // logHookCall(debugEffectsInstance, N, tag, 'useEffect at line L')
+  return markNode(
+    t.expressionStatement(
+      createHelperCall('logHookCall', effectIndex, tag, [
+        t.stringLiteral(`${hookName} at line ${lineNumber}`),
+      ]),
     ),
-  };
+  );
 }
 
-function createDependenciesLogger(componentName, effectIndex, deps) {
-  return t.callExpression(
-    t.memberExpression(t.identifier('console'), t.identifier('log')),
-    [
-      t.stringLiteral(`[${componentName}_Effect_${effectIndex}] Dependencies:`),
-      deps,
-    ],
+function createCallbackReferenceWrapper(
+  tag,
+  hookName,
+  lineNumber,
+  effectIndex,
+  deps,
+  depNames,
+  tracksCleanup,
+  callback,
+) {
+  return markNode(
+    createHelperCall('wrapHookCallback', effectIndex, tag, [
+      t.stringLiteral(`${hookName} at line ${lineNumber}`),
+      t.arrayExpression(depNames.map((name) => t.stringLiteral(name))),
+      deps ? t.cloneNode(deps) : t.nullLiteral(),
+      t.booleanLiteral(tracksCleanup),
+      callback,
+    ]),
   );
 }
 
-function transformCode(code, filePath) {
-  // Parse the code into an AST
-  const ast = parser.parse(code, {
-    sourceType: 'module',
-    plugins: ['jsx', 'typescript', 'decorators-legacy'],
+function isInlineFunction(node) {
+  return (
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'FunctionExpression'
+  );
+}
+
+function createCallbackWrapper(effectIndex, deps, statements, callback) {
+  return markNode(
+    t.callExpression(t.identifier('trackCallbackRecompute'), [
+      t.identifier(INSTANCE),
+      t.numericLiteral(effectIndex),
+      deps ? t.cloneNode(deps) : t.nullLiteral(),
+      t.arrowFunctionExpression([], t.blockStatement(statements)),
+      callback,
+    ]),
+  );
+}
+
+// Calls that usually need to be undone when the effect is cleaned up
+const SUBSCRIPTION_CALLS = new Set([
+  'setInterval',
+  'setTimeout',
+  'requestAnimationFrame',
+  'addEventListener',
+  'addListener',
+  'subscribe',
+  'observe',
+  'on',
+]);
+
+function findSubscriptionCall(callbackPath) {
+  let found = null;
+  callbackPath.traverse({
+    CallExpression(callPath) {
+      const callee = callPath.node.callee;
+      const name = t.isMemberExpression(callee)
+        ? callee.property.name
+        : callee.name;
+      if (!found && SUBSCRIPTION_CALLS.has(name)) {
+        found = name;
+      }
+    },
   });
+  return found;
+}
+
+// Returns that belong to the effect callback itself, not to nested functions
+function findCleanupReturns(callbackPath) {
+  const returns = [];
+  callbackPath.traverse({
+    Function(functionPath) {
+      functionPath.skip();
+    },
+    ReturnStatement(returnPath) {
+      if (returnPath.node.argument) {
+        returns.push(returnPath);
+      }
+    },
+  });
+  return returns;
+}
+
+function createCleanupWrapper(tag, effectIndex, cleanup) {
+  return markNode(
+    createHelperCall('trackEffectCleanup', effectIndex, tag, [cleanup]),
+  );
+}
+
+function getDependencyNames(deps, code) {
+  if (!t.isArrayExpression(deps)) {
+    return [];
+  }
+  return deps.elements.map((element) =>
+    element && !t.isSpreadElement(element)
+      ? code.slice(element.start, element.end)
+      : '',
+  );
+}
+
+function createDependenciesLogger(tag, effectIndex, deps, depNames) {
+  // logEffectDependencyChanges(debugEffectsInstance, N, tag, names, deps)
+  return markNode(
+    t.expressionStatement(
+      createHelperCall('logEffectDependencyChanges', effectIndex, tag, [
+        t.arrayExpression(depNames.map((name) => t.stringLiteral(name))),
+        t.cloneNode(deps),
+      ]),
+    ),
+  );
+}
+
+// Adds `const debugEffectsInstance = useDebugEffectsInstance(...)` at the top
+// of the component, next to its other hooks
+function injectInstance(componentPath, componentName, loopOverrides) {
+  if (!componentPath.get('body').isBlockStatement()) {
+    componentPath.node.body = markNode(
+      t.blockStatement([t.returnStatement(componentPath.node.body)]),
+    );
+  }
+  componentPath
+    .get('body')
+    .unshiftContainer(
+      'body',
+      createInstanceDeclaration(componentName, loopOverrides),
+    );
+}
+
+// Helpers whose marked calls show that a hook was instrumented by an earlier
+// run, at the top of its callback or wrapped around it
+const HOOK_HELPERS = [
+  'logHookCall',
+  'logEffectDependencyChanges',
+  'wrapHookCallback',
+  'trackCallbackRecompute',
+];
+
+function isHelperCall(node) {
+  const call = t.isExpressionStatement(node) ? node.expression : node;
+  return (
+    isMarked(node) &&
+    t.isCallExpression(call) &&
+    t.isIdentifier(call.callee) &&
+    HOOK_HELPERS.includes(call.callee.name)
+  );
+}
+
+function isHookInstrumented(callback) {
+  if (isHelperCall(callback)) {
+    return true;
+  }
+  return (
+    isInlineFunction(callback) &&
+    t.isBlockStatement(callback.body) &&
+    callback.body.body.some(isHelperCall)
+  );
+}
+
+function hasInstance(componentPath) {
+  const body = componentPath.node.body;
+  return (
+    t.isBlockStatement(body) &&
+    body.body.some(
+      (statement) =>
+        isMarked(statement) &&
+        t.isVariableDeclaration(statement) &&
+        t.isIdentifier(statement.declarations[0].id, { name: INSTANCE }),
+    )
+  );
+}
+
+// Name of the function the hook is called in, so `const total = useMemo(...)` is
+// still reported under its component and not as `total`
+function getComponentName(component) {
+  if (component.node.id) {
+    return component.node.id.name;
+  }
+  const declarator = component.findParent((p) => p.isVariableDeclarator());
+  return declarator && t.isIdentifier(declarator.node.id)
+    ? declarator.node.id.name
+    : 'Anonymous';
+}
+
+// Log prefix of every hook. `{file}` is the path relative to the project
+// root, `{hook}` the label of the hook kind and `{index}` its position in
+// the component.
+const DEFAULT_LOG_PREFIX = '[{file}:{component}_{hook}_{index}]';
+
+function formatLogPrefix(logPrefix, values) {
+  return logPrefix.replace(/\{(\w+)\}/g, (match, key) =>
+    values[key] !== undefined ? values[key] : match,
+  );
+}
+
+// IDs are built from the path relative to the project root, so the same hook
+// gets the same ID on every run and on every machine
+function getRelativePath(filePath, rootDir) {
+  return path
+    .relative(rootDir, path.resolve(filePath))
+    .split(path.sep)
+    .join('/');
+}
+
+// Instruments the hooks of an already parsed file. Used by transformCode and
+// by the Babel plugin, which passes in the Program path of its own AST.
+// `options.target` limits it to some components, hooks or lines, see
+// targetFilter.js.
+function instrumentHooks(programPath, code, filePath, options = {}) {
+  const hooks = options.hooks || ALL_HOOKS;
+  const target = createTargetMatcher(options.target, filePath);
+  const loopOverrides = getLoopOverrides(options.loop);
+  const relativePath = getRelativePath(
+    filePath,
+    options.rootDir || process.cwd(),
+  );
 
   let fileModified = false;
   let effectsFound = 0;
+  const hookPositions = new Map();
+  const helpersNeeded = new Set();
+  const instrumentedComponents = new Set();
+  const warnings = [];
+  const dependencyFindings = [];
+  const skipped = [];
+  const alreadyInstrumented = [];
 
-  // Traverse the AST
-  traverse(ast, {
+  programPath.traverse({
     CallExpression(path) {
-      if (
-        path.node.callee.type === 'Identifier' &&
-        path.node.callee.name === 'useEffect'
-      ) {
-        effectsFound++;
-        const callback = path.node.arguments[0];
+      const hookName = getHookName(path.node.callee);
+      if (!hookName || !HOOK_KINDS[hookName]) {
+        return;
+      }
 
+      // Get line number information
+      const lineNumber = path.node.loc ? path.node.loc.start.line : 'unknown';
+      const skip = (reason, tag = '') => {
+        skipped.push({
+          tag,
+          hookName,
+          filePath: relativePath,
+          lineNumber,
+          reason,
+        });
+      };
+
+      // Hooks only run inside components and custom hooks
+      const componentPath = path.getFunctionParent();
+      if (!componentPath) {
         if (
-          callback.type === 'ArrowFunctionExpression' ||
-          callback.type === 'FunctionExpression'
+          hooks.includes(hookName) &&
+          (!target || target.matches(null, path.node))
         ) {
-          // Get the component name
-          let componentName = 'Unknown';
-          let parent = path.findParent(
-            (p) => p.isFunctionDeclaration() || p.isVariableDeclarator(),
-          );
-          if (parent) {
-            componentName = parent.node.id ? parent.node.id.name : 'Anonymous';
-          }
-
-          // Get line number information
-          const lineNumber = path.node.loc
-            ? path.node.loc.start.line
-            : 'unknown';
-
-          // Create logger statements
-          const logger = createEffectLogger(
-            componentName,
-            filePath,
+          skip('not called inside a component or custom hook');
+        }
+        return;
+      }
+
+      // Position among the supported hooks of the component, counted before
+      // any filtering so it does not depend on the options of the run
+      const position = hookPositions.get(componentPath.node) || 0;
+      hookPositions.set(componentPath.node, position + 1);
+
+      if (!hooks.includes(hookName)) {
+        return;
+      }
+      if (target && !target.matches(componentPath, path.node)) {
+        return;
+      }
+
+      const hook = HOOK_KINDS[hookName];
+      const callback = path.node.arguments[hook.callbackIndex];
+      const componentName = getComponentName(componentPath);
+      const tag = formatLogPrefix(options.logPrefix || DEFAULT_LOG_PREFIX, {
+        file: relativePath,
+        component: componentName,
+        hook: hook.label,
+        index: position,
+      });
+
+      if (path.node.arguments.some((arg) => t.isSpreadElement(arg))) {
+        skip('arguments are passed with a spread', tag);
+        return;
+      }
+      if (!callback) {
+        skip('no callback argument', tag);
+        return;
+      }
+      // Left as it is, so running the command again changes nothing
+      if (isHookInstrumented(callback)) {
+        alreadyInstrumented.push({
+          tag,
+          hookName,
+          filePath: relativePath,
+          lineNumber,
+        });
+        return;
+      }
+
+      // Get the dependencies array if it exists
+      const deps = path.node.arguments[hook.depsIndex];
+
+      // Compare what the callback reads with the deps before adding anything
+      const dependencyResult = analyzeDependencies(
+        path.get(`arguments.${hook.callbackIndex}`),
+        deps ? path.get(`arguments.${hook.depsIndex}`) : null,
+        componentPath,
+        code,
+        { unnecessary: hook.memoizes },
+      );
+      if (hasDependencyProblems(dependencyResult)) {
+        dependencyFindings.push({
+          tag,
+          hookName,
+          filePath: relativePath,
+          lineNumber,
+          ...dependencyResult,
+        });
+      }
+
+      if (options.analyzeOnly) {
+        return;
+      }
+
+      // Create logger statement
+      const logStatement = createEffectLogger(
+        tag,
+        hookName,
+        lineNumber,
+        position,
+      );
+
+      const depNames = deps ? getDependencyNames(deps, code) : [];
+      const depsLogging = deps
+        ? createDependenciesLogger(tag, position, deps, depNames)
+        : null;
+
+      // Counts and previous deps live on the component instance, which an
+      // earlier run may have added already
+      if (!instrumentedComponents.has(componentPath.node)) {
+        instrumentedComponents.add(componentPath.node);
+        if (!hasInstance(componentPath)) {
+          injectInstance(componentPath, componentName, loopOverrides);
+        }
+      }
+      helpersNeeded.add('useDebugEffectsInstance');
+      helpersNeeded.add('logHookCall');
+
+      // Deps are compared first so a loop report includes the current run
+      const statements = [logStatement];
+      if (depsLogging) {
+        statements.unshift(depsLogging);
+        helpersNeeded.add('logEffectDependencyChanges');
+      }
+
+      // Callbacks passed by reference are wrapped where they are passed
+      if (hook.runsCallback && !isInlineFunction(callback)) {
+        path.node.arguments[hook.callbackIndex] =
+          createCallbackReferenceWrapper(
+            tag,
+            hookName,
             lineNumber,
-            effectCounter,
+            position,
+            deps,
+            depNames,
+            hook.tracksCleanup,
+            callback,
           );
+        helpersNeeded.add('wrapHookCallback');
+        if (hook.tracksCleanup) {
+          helpersNeeded.add('trackEffectCleanup');
+        }
+        effectsFound++;
+        fileModified = true;
+        return;
+      }
+
+      // useCallback: instrument the call site instead of the callback
+      if (!hook.runsCallback) {
+        path.node.arguments[hook.callbackIndex] = createCallbackWrapper(
+          position,
+          deps,
+          statements,
+          callback,
+        );
+        helpersNeeded.add('trackCallbackRecompute');
+        effectsFound++;
+        fileModified = true;
+        return;
+      }
 
-          // Get the dependencies array if it exists
-          const deps = path.node.arguments[1];
-          // const depsLogging = false;
-          const depsLogging = deps
-            ? createDependenciesLogger(componentName, effectCounter, deps)
-            : null;
-
-          // Add variable declaration to the program root
-          const program = path.findParent((p) => p.isProgram());
-          program.unshiftContainer('body', logger.counterVar);
-
-          // Add console.log statements and counter increment
-          if (callback.body.type === 'BlockStatement') {
-            callback.body.body.unshift(logger.logStatement);
-            callback.body.body.unshift(logger.incrementCounter);
-            if (depsLogging) {
-              callback.body.body.unshift(t.expressionStatement(depsLogging));
-            }
-          } else {
-            const statements = [logger.incrementCounter, logger.logStatement];
-            if (depsLogging) {
-              statements.push(t.expressionStatement(depsLogging));
-            }
-            statements.push(t.returnStatement(callback.body));
-            callback.body = t.blockStatement(statements);
-          }
-
-          effectCounter++;
-          fileModified = true;
+      // Wrap every cleanup the effect returns, including early returns
+      const callbackPath = path.get(`arguments.${hook.callbackIndex}`);
+      let hasCleanup = false;
+      if (hook.tracksCleanup) {
+        const cleanupReturns = callbackPath.get('body').isBlockStatement()
+          ? findCleanupReturns(callbackPath)
+          : [];
+        cleanupReturns.forEach((returnPath) => {
+          returnPath.node.argument = createCleanupWrapper(
+            tag,
+            position,
+            returnPath.node.argument,
+          );
+        });
+
+        hasCleanup =
+          cleanupReturns.length > 0 || callback.body.type !== 'BlockStatement';
+        const subscriptionCall = hasCleanup
+          ? null
+          : findSubscriptionCall(callbackPath);
+        if (subscriptionCall) {
+          warnings.push(
+            `${tag} ${hookName} at ${relativePath}:${lineNumber} calls ${subscriptionCall}() but returns no cleanup`,
+          );
         }
       }
+
+      // Add the logging statements at the top of the callback
+      if (callback.body.type === 'BlockStatement') {
+        callback.body.body.unshift(...statements);
+      } else {
+        const returned = hasCleanup
+          ? createCleanupWrapper(tag, position, callback.body)
+          : callback.body;
+        statements.push(t.returnStatement(returned));
+        callback.body = markNode(t.blockStatement(statements));
+      }
+
+      if (hasCleanup) {
+        helpersNeeded.add('trackEffectCleanup');
+      }
+
+      effectsFound++;
+      fileModified = true;
     },
   });
 
-  if (!fileModified) {
-    return { modified: null, effectsCount: 0 };
+  // One import of the runtime helpers used in this file
+  if (fileModified) {
+    addRuntimeImport(programPath, [...helpersNeeded], options.runtimeModule);
   }
 
-  const output = generate(
-    ast,
-    {
-      quotes: 'single',
-    },
+  return {
+    effectsCount: effectsFound,
+    warnings,
+    dependencyFindings,
+    skipped,
+    alreadyInstrumented,
+  };
+}
+
+function transformCode(code, filePath, options = {}) {
+  // Parse the code into an AST
+  const ast = parser.parse(
     code,
+    getParserOptions(filePath, ['decorators-legacy']),
   );
 
-  return { modified: output.code, effectsCount: effectsFound };
+  let result;
+  traverse(ast, {
+    Program(programPath) {
+      result = instrumentHooks(programPath, code, filePath, options);
+      programPath.stop();
+    },
+  });
+
+  if (result.effectsCount === 0) {
+    return { ...result, modified: null, map: null };
+  }
+
+  if (!options.sourceMaps) {
+    return {
+      ...result,
+      modified: printWithSource(ast, code, { quotes: 'single' }),
+      map: null,
+    };
+  }
+
+  // `sourceMaps: true` also returns a map back to the original code
+  const output = printWithSourceMap(ast, code, {
+    quotes: 'single',
+    ...getSourceMapOptions(filePath),
+  });
+
+  return { ...result, modified: output.code, map: output.map };
 }
 
 module.exports = {
   transformCode,
+  instrumentHooks,
+  HOOK_KINDS,
+  LOOP_DEFAULTS,
+  DEFAULT_LOG_PREFIX,
 };
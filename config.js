@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const { findRepositoryRoot } = require('./gitScope');
+
+// Looked up in the working directory and then in every parent directory.
+// The first directory with one of these files, or with a `debugeffects` key
+// in its package.json, wins.
+const CONFIG_FILES = [
+  '.debugeffectsrc',
+  '.debugeffectsrc.json',
+  '.debugeffectsrc.js',
+];
+
+const COMMAND_NAMES = [
+  'effects',
+  'state',
+  'functions',
+  'profile',
+  'analyze-state',
+  'remove',
+];
+
+// Expected type of every option a config file may set, at the top level for
+// all commands or in a section named after a command
+const OPTION_TYPES = {
+  include: 'array',
+  exclude: 'array',
+  extensions: 'array',
+  logPrefix: 'string',
+  hooks: 'array',
+  loopThreshold: 'number',
+  loopWindow: 'number',
+  stopOnLoop: 'boolean',
+  runtime: 'string',
+  sourceMap: 'boolean',
+  jobs: 'number',
+  functions: 'array',
+  categories: 'array',
+  components: 'array',
+  all: 'boolean',
+  partial: 'boolean',
+  allowDirty: 'boolean',
+  maxFindings: 'number',
+};
+
+// Files the commands leave alone unless the command's own section sets
+// another `exclude` list
+const COMMAND_EXCLUDES = {
+  functions: ['**/*.test.*', '**/*.spec.*', '**/*.d.ts', '**/__tests__/**'],
+  profile: ['**/*.test.*', '**/*.spec.*', '**/*.stories.*'],
+};
+
+class ConfigError extends Error {}
+
+function readConfigFile(filePath) {
+  try {
+    if (filePath.endsWith('.js')) {
+      return require(filePath);
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new ConfigError(`Cannot read ${filePath}: ${error.message}`);
+  }
+}
+
+function findConfig(startDir) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    const configFile = CONFIG_FILES.map((name) => path.join(dir, name)).find(
+      (filePath) => fs.existsSync(filePath),
+    );
+    if (configFile) {
+      return { filePath: configFile, config: readConfigFile(configFile) };
+    }
+
+    const packageFile = path.join(dir, 'package.json');
+    if (fs.existsSync(packageFile)) {
+      const packageJson = readConfigFile(packageFile);
+      if (packageJson.debugeffects) {
+        return { filePath: packageFile, config: packageJson.debugeffects };
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+function checkOptions(options, where) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new ConfigError(`${where} must be an object`);
+  }
+
+  Object.entries(options).forEach(([key, value]) => {
+    const type = OPTION_TYPES[key];
+    if (!type) {
+      throw new ConfigError(`${where}: unknown option "${key}"`);
+    }
+    const valid =
+      type === 'array'
+        ? Array.isArray(value) && value.every((v) => typeof v === 'string')
+        : typeof value === type;
+    if (!valid) {
+      throw new ConfigError(
+        `${where}: "${key}" must be ${
+          type === 'array' ? 'a list of strings' : `a ${type}`
+        }`,
+      );
+    }
+  });
+}
+
+function validateConfig(config, filePath) {
+  const shared = {};
+  Object.entries(config || {}).forEach(([key, value]) => {
+    if (COMMAND_NAMES.includes(key)) {
+      checkOptions(value, `${filePath}: "${key}"`);
+    } else {
+      shared[key] = value;
+    }
+  });
+  checkOptions(shared, filePath);
+}
+
+// The directory the hook IDs are relative to, so they do not depend on
+// where the command runs: the one of the config file, else the closest one
+// above `startDir` with a package.json, else the top of the git repository.
+// Outside of any project it is the working directory.
+function findProjectRoot(configFile, startDir = process.cwd()) {
+  if (configFile) {
+    return path.dirname(configFile);
+  }
+  let dir = path.resolve(startDir);
+  while (!fs.existsSync(path.join(dir, 'package.json'))) {
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return findRepositoryRoot(startDir) || process.cwd();
+    }
+    dir = parent;
+  }
+  return dir;
+}
+
+// `configFile` names the file to use instead of searching for one. Returns
+// an empty config when there is none.
+function loadConfig({ cwd = process.cwd(), configFile } = {}) {
+  const found = configFile
+    ? {
+        filePath: path.resolve(configFile),
+        config: readConfigFile(path.resolve(configFile)),
+      }
+    : findConfig(cwd);
+  if (!found) {
+    return { filePath: null, config: {} };
+  }
+
+  validateConfig(found.config, found.filePath);
+  return found;
+}
+
+// The options of one command: the built-in defaults, then the top-level
+// options of the config, then the command's own section. `exclude` lists
+// are added up, except that a command section replaces the built-in ones.
+function getCommandConfig(config, commandName) {
+  const shared = {};
+  Object.entries(config).forEach(([key, value]) => {
+    if (!COMMAND_NAMES.includes(key)) {
+      shared[key] = value;
+    }
+  });
+  const section = config[commandName] || {};
+
+  return {
+    ...shared,
+    ...section,
+    exclude: [
+      ...(section.exclude || COMMAND_EXCLUDES[commandName] || []),
+      ...(shared.exclude || []),
+    ],
+  };
+}
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  getCommandConfig,
+  findProjectRoot,
+};
@@ -1,34 +1,123 @@
-const { processFile, processDirectory } = require('./fileProcessor');
-const { validatePath, checkDependencies } = require('./utils');
-const fs = require('fs');
+const {
+  applyInstrumentation,
+  applyRemoval,
+  formatSkippedHook,
+} = require('./fileProcessor');
+const { createTaskRunner, runFileTasks } = require('./taskRunner');
+const { HOOK_KINDS, LOOP_DEFAULTS } = require('./codeTransformer');
+const logger = require('./logger');
 
-// Counter for tracking total effects across all files
-let globalEffectCounter = 0;
+// `debugeffects effects`: instruments the hooks of every file, or only
+// reports their dependency problems with `analyzeDeps`
+async function runEffects(files, options) {
+  let total = 0;
+  const result = {
+    skipped: [],
+    alreadyInstrumented: [],
+    warnings: [],
+    dependencyFindings: [],
+    failures: [],
+  };
 
-function updateEffectCounter(count) {
-  globalEffectCounter += count;
-}
+  // --loop-threshold=<runs> and --loop-window=<ms> tune the infinite-loop
+  // warning, --stop-on-loop mutes a hook's logs once it has been reported
+  const loop = {
+    loopThreshold: Number(options.loopThreshold) || LOOP_DEFAULTS.loopThreshold,
+    loopWindow: Number(options.loopWindow) || LOOP_DEFAULTS.loopWindow,
+    stopOnLoop: Boolean(options.stopOnLoop),
+  };
+
+  if (options.analyzeDeps) {
+    logger.info('Analyzing hook dependencies...');
+  } else {
+    logger.info('Starting useEffect debug script...');
+  }
 
-// Main execution
-console.log('Starting useEffect debug script...');
+  await runFileTasks(
+    options.runner || createTaskRunner(),
+    'effects',
+    files,
+    [
+      {
+        analyzeDeps: options.analyzeDeps,
+        hooks: options.hooks || Object.keys(HOOK_KINDS),
+        loop,
+        logPrefix: options.logPrefix,
+        runtimeModule: options.runtime,
+        rootDir: options.rootDir,
+        sourceMap: options.sourceMap,
+        target: options.target,
+      },
+    ],
+    (filePath, fileResult) =>
+      applyInstrumentation(filePath, fileResult, (count) => (total += count), {
+        analyzeDeps: options.analyzeDeps,
+        writer: options.writer,
+        ...result,
+      }),
+    result.failures,
+  );
 
-// Get path from command line argument
-const targetPath = process.argv[2];
+  logger.info('\nProcessing complete!');
+  if (options.analyzeDeps) {
+    logger.info(`Hooks with dependency problems: ${total}`);
+  } else {
+    logger.info(`Total hooks found and modified: ${total}`);
+    if (result.skipped.length > 0) {
+      logger.info(
+        `Hooks that could not be instrumented: ${result.skipped.length}`,
+      );
+      result.skipped.forEach((entry) => {
+        logger.info(`  ${formatSkippedHook(entry)}`);
+      });
+    }
+  }
+  // Hooks instrumented by an earlier run are left as they are
+  if (result.alreadyInstrumented.length > 0) {
+    logger.info(
+      `Hooks already instrumented: ${result.alreadyInstrumented.length}`,
+    );
+  }
 
-if (!validatePath(targetPath)) {
-  process.exit(1);
+  return { ...result, total };
 }
 
-// Check required dependencies
-checkDependencies();
+// `debugeffects remove`: strips everything the tools have added
+async function runRemove(files, options) {
+  let total = 0;
+  const failures = [];
+
+  logger.info('Removing debug instrumentation...');
+  await runFileTasks(
+    options.runner || createTaskRunner(),
+    'remove',
+    files,
+    [],
+    (filePath, fileResult) =>
+      applyRemoval(filePath, fileResult, (count) => (total += count), {
+        writer: options.writer,
+      }),
+    failures,
+  );
 
-// Process based on whether it's a file or directory
-const stats = fs.statSync(targetPath);
-if (stats.isDirectory()) {
-  processDirectory(targetPath, updateEffectCounter);
-} else {
-  processFile(targetPath, updateEffectCounter);
+  logger.info('\nProcessing complete!');
+  logger.info(`Total instrumentation nodes removed: ${total}`);
+
+  return { failures, total };
 }
 
-console.log('\nProcessing complete!');
-console.log(`Total useEffects found and modified: ${globalEffectCounter}`);
+module.exports = {
+  runEffects,
+  runRemove,
+};
+
+// `node debugUseEffects.js [--remove] ...` is kept as a shortcut for the
+// `effects` and `remove` commands
+if (require.main === module) {
+  const { main } = require('./cli');
+  const args = process.argv.slice(2);
+  const command = args.includes('--remove') ? 'remove' : 'effects';
+  main([command, ...args.filter((arg) => arg !== '--remove')]).then((code) => {
+    process.exitCode = code;
+  });
+}
@@ -0,0 +1,217 @@
+const t = require('@babel/types');
+
+// Hooks whose results never change between renders and so never need to be
+// listed as dependencies: [, setState] = useState(), ref = useRef(), ...
+const STABLE_HOOK_RESULTS = {
+  useState: 1,
+  useReducer: 1,
+  useTransition: 1,
+  useRef: null,
+};
+
+const UNSTABLE_INITIALIZERS = {
+  ObjectExpression: 'object literal',
+  ArrayExpression: 'array literal',
+  ArrowFunctionExpression: 'function',
+  FunctionExpression: 'function',
+  NewExpression: 'new instance',
+};
+
+function getCalleeName(node) {
+  if (!t.isCallExpression(node)) return null;
+  if (t.isIdentifier(node.callee)) return node.callee.name;
+  if (
+    t.isMemberExpression(node.callee) &&
+    t.isIdentifier(node.callee.property)
+  ) {
+    return node.callee.property.name;
+  }
+  return null;
+}
+
+function isStableBinding(binding) {
+  const declarator = binding.path;
+  if (!declarator.isVariableDeclarator()) return false;
+
+  const hookName = getCalleeName(declarator.node.init);
+  if (!hookName || !(hookName in STABLE_HOOK_RESULTS)) return false;
+
+  const stableIndex = STABLE_HOOK_RESULTS[hookName];
+  if (stableIndex === null) {
+    return t.isIdentifier(declarator.node.id);
+  }
+  if (!t.isArrayPattern(declarator.node.id)) return false;
+
+  const element = declarator.node.id.elements[stableIndex];
+  return Boolean(element && element.name === binding.identifier.name);
+}
+
+// `user.profile.id` for `user.profile.id.toString()`, `ref` for
+// `ref.current`, the way the exhaustive-deps lint rule names dependencies
+function getDependencyKey(identifierPath) {
+  const parts = [identifierPath.node.name];
+  let current = identifierPath;
+
+  while (
+    (current.parentPath.isMemberExpression() ||
+      current.parentPath.isOptionalMemberExpression()) &&
+    current.parentPath.node.object === current.node &&
+    !current.parentPath.node.computed &&
+    t.isIdentifier(current.parentPath.node.property)
+  ) {
+    current = current.parentPath;
+    parts.push(current.node.property.name);
+  }
+
+  // A called method is not a dependency, the object it is called on is
+  if (
+    parts.length > 1 &&
+    (current.parentPath.isCallExpression() ||
+      current.parentPath.isOptionalCallExpression()) &&
+    current.parentPath.node.callee === current.node
+  ) {
+    parts.pop();
+  }
+  if (parts.length > 1 && parts[parts.length - 1] === 'current') {
+    parts.pop();
+  }
+
+  return parts.join('.');
+}
+
+function normalizeDependency(source) {
+  return source.replace(/\s+/g, '').replace(/\?\./g, '.').replace(/!/g, '');
+}
+
+// `user` covers `user.id`, but `user.id` does not cover `user`
+function covers(declared, required) {
+  return required === declared || required.startsWith(`${declared}.`);
+}
+
+function findRequiredDependencies(callbackPath, componentPath) {
+  const required = new Set();
+
+  callbackPath.traverse({
+    ReferencedIdentifier(identifierPath) {
+      if (identifierPath.isJSXIdentifier()) return;
+
+      const binding = identifierPath.scope.getBinding(identifierPath.node.name);
+      if (!binding) return;
+
+      // Declared inside the callback, or outside the component altogether
+      if (
+        binding.path.isDescendant(callbackPath) ||
+        !binding.path.isDescendant(componentPath)
+      ) {
+        return;
+      }
+      if (isStableBinding(binding)) return;
+
+      required.add(getDependencyKey(identifierPath));
+    },
+  });
+
+  return required;
+}
+
+// Deps declared in the component body that get a new identity every render
+function findUnstableDependency(depPath, componentPath) {
+  if (!depPath.isIdentifier()) return null;
+
+  const binding = depPath.scope.getBinding(depPath.node.name);
+  if (!binding || binding.scope !== componentPath.scope) return null;
+
+  if (binding.path.isFunctionDeclaration()) {
+    return 'function';
+  }
+  if (binding.path.isVariableDeclarator() && binding.path.node.init) {
+    return UNSTABLE_INITIALIZERS[binding.path.node.init.type] || null;
+  }
+  return null;
+}
+
+// Compares the values a hook callback reads with its dependency array.
+// Returns null when there is no array to compare. Only the unstable deps
+// are reported for callbacks passed by name, e.g. `useEffect(sync, [opts])`,
+// as what they read is not known. Unread deps are only reported with
+// `options.unnecessary`.
+function analyzeDependencies(
+  callbackPath,
+  depsPath,
+  componentPath,
+  code,
+  options = {},
+) {
+  if (!depsPath || !depsPath.isArrayExpression()) {
+    return null;
+  }
+
+  const declared = depsPath
+    .get('elements')
+    .filter((element) => element.node && !element.isSpreadElement())
+    .map((element) => ({
+      path: element,
+      name: normalizeDependency(
+        code.slice(element.node.start, element.node.end),
+      ),
+    }));
+  const unstable = declared
+    .map(({ path, name }) => ({
+      name,
+      reason: findUnstableDependency(path, componentPath),
+    }))
+    .filter(({ reason }) => reason);
+
+  if (!callbackPath.isFunction()) {
+    return { missing: [], unnecessary: [], unstable };
+  }
+
+  const required = findRequiredDependencies(callbackPath, componentPath);
+  const missing = [...required].filter(
+    (dependency) => !declared.some(({ name }) => covers(name, dependency)),
+  );
+  const unnecessary = (options.unnecessary ? declared : [])
+    .filter(
+      ({ name }) =>
+        ![...required].some(
+          (dependency) => covers(name, dependency) || covers(dependency, name),
+        ),
+    )
+    .map(({ name }) => name);
+
+  return { missing, unnecessary, unstable };
+}
+
+function hasDependencyProblems(result) {
+  return Boolean(
+    result &&
+    (result.missing.length > 0 ||
+      result.unnecessary.length > 0 ||
+      result.unstable.length > 0),
+  );
+}
+
+function formatDependencyReport(finding) {
+  const location = `${finding.tag} ${finding.hookName} at ${finding.filePath}:${finding.lineNumber}`;
+  const lines = [];
+
+  finding.missing.forEach((name) => {
+    lines.push(`${location} - missing dependency: ${name}`);
+  });
+  finding.unnecessary.forEach((name) => {
+    lines.push(`${location} - unnecessary dependency: ${name}`);
+  });
+  finding.unstable.forEach(({ name, reason }) => {
+    lines.push(
+      `${location} - dependency changes on every render: ${name} (${reason} declared in the component body)`,
+    );
+  });
+
+  return lines;
+}
+
+module.exports = {
+  analyzeDependencies,
+  hasDependencyProblems,
+  formatDependencyReport,
+};
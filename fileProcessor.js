@@ -1,63 +1,151 @@
 const fs = require('fs');
-const path = require('path');
-const { transformCode } = require('./codeTransformer');
-
-function processFile(filePath, updateCounter) {
-  console.log(`\nProcessing file: ${filePath}`);
-
-  try {
-    // Read file content
-    const code = fs.readFileSync(filePath, 'utf-8');
-
-    // Skip if file doesn't contain useEffect
-    if (!code.includes('useEffect')) {
-      console.log('No useEffect found in file');
-      return;
-    }
-
-    const { modified, effectsCount } = transformCode(code, filePath);
-
-    // Only write back if we made changes
-    if (modified) {
-      console.log(
-        `Found ${effectsCount} useEffect${effectsCount !== 1 ? 's' : ''}`,
-      );
-      fs.writeFileSync(filePath, modified);
-      console.log(`Successfully modified ${filePath}`);
-      updateCounter(effectsCount);
-    } else {
-      console.log('No modifications were necessary');
-    }
-  } catch (error) {
-    console.error(`Error processing ${filePath}:`, error);
+const { transformCode, HOOK_KINDS } = require('./codeTransformer');
+const { removeInstrumentation } = require('./instrumentationRemover');
+const { hasInstrumentation } = require('./instrumentationMarker');
+const { formatDependencyReport } = require('./dependencyAnalyzer');
+const { withInlineSourceMap } = require('./sourceMaps');
+const logger = require('./logger');
+
+// Reads and instruments one file without writing it. Returns null when the
+// file has none of the hooks to instrument.
+function instrumentFile(filePath, options = {}) {
+  const code = fs.readFileSync(filePath, 'utf-8');
+
+  // Skip if file doesn't contain any of the hooks to instrument
+  const hooks = options.hooks || Object.keys(HOOK_KINDS);
+  if (!hooks.some((hook) => code.includes(hook))) {
+    return null;
   }
-}
 
-function processDirectory(dirPath, updateCounter) {
-  console.log(`\nScanning directory: ${dirPath}`);
+  const {
+    modified,
+    map,
+    effectsCount,
+    warnings,
+    dependencyFindings,
+    skipped,
+    alreadyInstrumented,
+  } = transformCode(code, filePath, {
+    hooks,
+    loop: options.loop,
+    logPrefix: options.logPrefix,
+    runtimeModule: options.runtimeModule,
+    rootDir: options.rootDir,
+    sourceMaps: options.sourceMap,
+    analyzeOnly: options.analyzeDeps,
+    target: options.target,
+  });
+
+  return {
+    code,
+    output: modified && (map ? withInlineSourceMap(modified, map) : modified),
+    effectsCount,
+    warnings,
+    dependencyFindings,
+    skipped,
+    alreadyInstrumented,
+  };
+}
 
-  try {
-    const items = fs.readdirSync(dirPath);
+// Reports the result of instrumentFile and stages the file on
+// `options.writer`, which writes it once the run is over. `options.skipped`,
+// `options.alreadyInstrumented`, `options.warnings` and
+// `options.dependencyFindings` are arrays that collect the results of every
+// file.
+function applyInstrumentation(filePath, result, updateCounter, options = {}) {
+  const { writer } = options;
+  const {
+    code,
+    output,
+    effectsCount,
+    warnings,
+    dependencyFindings,
+    skipped,
+    alreadyInstrumented,
+  } = result;
 
-    items.forEach((item) => {
-      const fullPath = path.join(dirPath, item);
-      const stat = fs.statSync(fullPath);
+  logger.verbose(`\nProcessing file: ${filePath}`);
+  alreadyInstrumented.forEach((entry) => {
+    logger.verbose(`Already instrumented: ${formatSkippedHook(entry)}`);
+  });
+  collect(options.alreadyInstrumented, alreadyInstrumented);
 
-      // Skip node_modules and hidden directories
-      if (stat.isDirectory()) {
-        if (!item.startsWith('.') && item !== 'node_modules') {
-          processDirectory(fullPath, updateCounter);
-        }
-      } else if (stat.isFile() && /\.(js|jsx|tsx|ts)$/.test(item)) {
-        processFile(fullPath, updateCounter);
-      }
+  warnings.forEach((warning) => logger.warn(`Warning: ${warning}`));
+  collect(options.warnings, warnings);
+  if (!options.analyzeDeps) {
+    skipped.forEach((entry) => {
+      logger.verbose(`Skipped: ${formatSkippedHook(entry)}`);
     });
-  } catch (error) {
-    console.error(`Error processing directory ${dirPath}:`, error);
+    collect(options.skipped, skipped);
+  }
+  dependencyFindings.forEach((finding) => {
+    formatDependencyReport(finding).forEach((line) => logger.warn(line));
+  });
+  collect(options.dependencyFindings, dependencyFindings);
+  if (options.analyzeDeps) {
+    updateCounter(dependencyFindings.length);
+    return;
+  }
+
+  // Only write back if we made changes
+  if (output) {
+    writer.write(
+      filePath,
+      code,
+      output,
+      { hooks: effectsCount },
+      `Modified ${filePath} (${effectsCount} hook${effectsCount !== 1 ? 's' : ''})`,
+    );
+    updateCounter(effectsCount);
+  } else {
+    logger.verbose('No modifications were necessary');
+  }
+}
+
+function collect(target, items) {
+  if (target) {
+    target.push(...items);
+  }
+}
+
+function formatSkippedHook(entry) {
+  const tag = entry.tag ? `${entry.tag} ` : '';
+  const reason = entry.reason ? ` - ${entry.reason}` : '';
+  return `${tag}${entry.hookName} at ${entry.filePath}:${entry.lineNumber}${reason}`;
+}
+
+// Removes the instrumentation of one file without writing it. Returns null
+// for files none of the tools have touched.
+function stripFile(filePath) {
+  const code = fs.readFileSync(filePath, 'utf-8');
+  if (!hasInstrumentation(code)) {
+    return null;
   }
+
+  const { modified, removedCount } = removeInstrumentation(code, filePath);
+  return modified ? { code, modified, removedCount } : null;
+}
+
+function applyRemoval(filePath, result, updateCounter, options = {}) {
+  const { writer } = options;
+  const { code, modified, removedCount } = result;
+
+  writer.write(
+    filePath,
+    code,
+    modified,
+    { removed: removedCount },
+    `Removed ${removedCount} instrumentation node${
+      removedCount !== 1 ? 's' : ''
+    } from ${filePath}`,
+  );
+  updateCounter(removedCount);
 }
 
 module.exports = {
-  processFile,
-  processDirectory,
+  instrumentFile,
+  applyInstrumentation,
+  stripFile,
+  applyRemoval,
+  formatSkippedHook,
 };
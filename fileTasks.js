@@ -0,0 +1,29 @@
+// Work done for a single file, in the main thread or in a worker thread.
+// Tasks take the file path and options that can be sent to a worker, and
+// return plain data, or null when there is nothing to do for the file.
+// Writing files and printing progress is left to the main thread.
+module.exports = {
+  effects: (filePath, options) =>
+    require('./fileProcessor').instrumentFile(filePath, options),
+  remove: (filePath) => require('./fileProcessor').stripFile(filePath),
+  state: (filePath, options) =>
+    require('./useStateLogger').instrumentFile(filePath, options),
+  'functions-scan': (filePath) =>
+    require('./functionLogger').scanFile(filePath),
+  functions: (filePath, functionsToLog, options) =>
+    require('./functionLogger').instrumentFile(
+      filePath,
+      functionsToLog,
+      options,
+    ),
+  'profile-scan': (filePath) =>
+    require('./performanceMonitoring').scanComponents(filePath),
+  profile: (filePath, selectedComponents, options) =>
+    require('./performanceMonitoring').instrumentFile(
+      filePath,
+      selectedComponents,
+      options,
+    ),
+  'analyze-state': (filePath) =>
+    require('./useStateInitializationAnalyzer').findInitializations(filePath),
+};
@@ -1,10 +1,16 @@
 const fs = require('fs');
-const path = require('path');
-const parser = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
-const generate = require('@babel/generator').default;
 const t = require('@babel/types');
 const readline = require('readline');
+const { markNode, isMarked } = require('./instrumentationMarker');
+const { addRuntimeImport } = require('./runtimeImport');
+const { getSourceMapOptions, withInlineSourceMap } = require('./sourceMaps');
+const { printWithSource, printWithSourceMap } = require('./sourcePrinter');
+const { parseSource } = require('./parseCache');
+const { getParserOptions } = require('./parserOptions');
+const { createTargetMatcher } = require('./targetFilter');
+const { createTaskRunner, runFileTasks } = require('./taskRunner');
+const logger = require('./logger');
 
 // Store all discovered functions
 const functionRegistry = {
@@ -61,142 +67,225 @@ function findParentComponent(path) {
   return null;
 }
 
-function processFile(filePath, scanOnly = true, functionsToLog = new Set()) {
-  const validExtensions = ['.js', '.jsx', '.ts', '.tsx'];
-  const ext = path.extname(filePath);
+// Component the function is declared in, or else its enclosing function
+function findParentName(path) {
+  const componentName = findParentComponent(path);
+  if (componentName) {
+    return componentName;
+  }
+  const parentPath = path.findParent(
+    (p) =>
+      p.isFunctionDeclaration() ||
+      p.isFunctionExpression() ||
+      p.isArrowFunctionExpression(),
+  );
+  return parentPath ? getFunctionName(parentPath) : null;
+}
 
-  if (
-    !validExtensions.includes(ext) ||
-    filePath.includes('.test.') ||
-    filePath.includes('.spec.') ||
-    filePath.endsWith('.d.ts')
-  ) {
-    return { modifiedFiles: 0, modifiedFunctions: 0 };
+// Event handlers, hooks and utilities are told apart by naming convention
+function getFunctionCategory(functionName) {
+  if (functionName.startsWith('handle') || functionName.startsWith('on')) {
+    return 'handlers';
+  }
+  if (functionName.startsWith('use')) {
+    return 'hooks';
   }
+  return 'utils';
+}
 
-  const content = fs.readFileSync(filePath, 'utf-8');
+// Whether an earlier run put a log at the top of the function body
+function isFunctionLogged(path) {
+  const body = path.node.body;
+  return (
+    t.isBlockStatement(body) &&
+    body.body.length > 0 &&
+    isMarked(body.body[0]) &&
+    t.isCallExpression(body.body[0].expression) &&
+    t.isIdentifier(body.body[0].expression.callee, { name: 'logFunctionCall' })
+  );
+}
 
-  try {
-    const ast = parser.parse(content, {
-      sourceType: 'module',
-      plugins: [
-        'typescript',
-        'jsx',
-        ['decorators', { decoratorsBeforeExport: true }],
-      ],
-    });
+// Logs every call of the functions `shouldLog` accepts in an already parsed
+// file. Used by instrumentFile and by the Babel plugin. `target`, from
+// createTargetMatcher, limits it to the functions in some components or on
+// some lines. Returns the number of functions logged and of functions an
+// earlier run already logged, which are left alone.
+function instrumentFunctions(
+  programPath,
+  shouldLog,
+  runtimeModule,
+  target = null,
+) {
+  let modifiedFunctions = 0;
+  let alreadyLogged = 0;
 
-    let modified = false;
-    let modifiedFunctions = 0;
-
-    traverse(ast, {
-      Function(path) {
-        const functionName = getFunctionName(path);
-        if (!functionName) return;
-
-        // Find parent component if any
-        const componentName = findParentComponent(path);
-
-        if (scanOnly) {
-          functionLocations.set(functionName, filePath);
-
-          if (componentName) {
-            functionHierarchy.set(functionName, componentName);
-          } else {
-            const parentPath = path.findParent(
-              (p) =>
-                p.isFunctionDeclaration() ||
-                p.isFunctionExpression() ||
-                p.isArrowFunctionExpression(),
-            );
-            if (parentPath) {
-              const parentName = getFunctionName(parentPath);
-              if (parentName) {
-                functionHierarchy.set(functionName, parentName);
-              }
-            }
-          }
-        } else if (functionsToLog.has(functionName)) {
-          // Skip if this is the component definition itself
-          if (componentName === functionName) {
-            return;
-          }
-
-          const parentName =
-            componentName || functionHierarchy.get(functionName) || 'global';
-          const logStatement = t.expressionStatement(
-            t.callExpression(
-              t.memberExpression(t.identifier('console'), t.identifier('log')),
-              [t.stringLiteral(`[${parentName}] Called: ${functionName}`)],
-            ),
-          );
-
-          if (t.isBlockStatement(path.node.body)) {
-            path.get('body').unshiftContainer('body', logStatement);
-          } else {
-            const originalBody = path.node.body;
-            path.node.body = t.blockStatement([
-              logStatement,
-              t.returnStatement(originalBody),
-            ]);
-          }
-
-          modified = true;
-          modifiedFunctions++;
-        }
-      },
-    });
+  programPath.traverse({
+    Function(path) {
+      const functionName = getFunctionName(path);
+      if (!functionName || !shouldLog(functionName)) return;
 
-    if (modified) {
-      const output = generate(ast, { retainLines: true }, content);
-      fs.writeFileSync(filePath, output.code);
-      console.log(`Modified: ${filePath} (${modifiedFunctions} functions)`);
-      return { modifiedFiles: 1, modifiedFunctions };
-    }
+      // Skip if this is the component definition itself
+      if (findParentComponent(path) === functionName) {
+        return;
+      }
+      if (target && !target.matches(path, path.node)) {
+        return;
+      }
+      if (isFunctionLogged(path)) {
+        alreadyLogged++;
+        return;
+      }
+
+      const parentName = findParentName(path) || 'global';
+      const logStatement = markNode(
+        t.expressionStatement(
+          t.callExpression(t.identifier('logFunctionCall'), [
+            t.stringLiteral(parentName),
+            t.stringLiteral(functionName),
+          ]),
+        ),
+      );
+
+      if (t.isBlockStatement(path.node.body)) {
+        path.get('body').unshiftContainer('body', logStatement);
+      } else {
+        const originalBody = path.node.body;
+        path.node.body = markNode(
+          t.blockStatement([logStatement, t.returnStatement(originalBody)]),
+        );
+      }
 
-    return { modifiedFiles: 0, modifiedFunctions: 0 };
-  } catch (error) {
-    console.error(`Error processing ${filePath}:`, error);
-    return { modifiedFiles: 0, modifiedFunctions: 0 };
+      modifiedFunctions++;
+    },
+  });
+
+  if (modifiedFunctions > 0) {
+    addRuntimeImport(programPath, ['logFunctionCall'], runtimeModule);
   }
+  return { modifiedFunctions, alreadyLogged };
 }
 
-async function processDirectory(
-  directoryPath,
-  scanOnly = true,
-  functionsToLog = new Set(),
-) {
-  const files = fs.readdirSync(directoryPath);
-  let totalModifiedFiles = 0;
-  let totalModifiedFunctions = 0;
+const PARSER_PLUGINS = [['decorators', { decoratorsBeforeExport: true }]];
 
-  for (const file of files) {
-    const filePath = path.join(directoryPath, file);
-    const stats = fs.statSync(filePath);
+// Functions declared in one file, with the component or function they are
+// declared in. The AST is kept for instrumentFile.
+function scanFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const ast = parseSource(content, getParserOptions(filePath, PARSER_PLUGINS), {
+    keep: true,
+  });
+  const functions = [];
 
-    if (stats.isDirectory()) {
-      if (!['node_modules', 'build', 'dist', '__tests__'].includes(file)) {
-        const results = await processDirectory(
-          filePath,
-          scanOnly,
-          functionsToLog,
-        );
-        totalModifiedFiles += results.modifiedFiles;
-        totalModifiedFunctions += results.modifiedFunctions;
-      }
-    } else {
-      const ext = path.extname(file);
-      if (['.js', '.jsx', '.ts', '.tsx'].includes(ext)) {
-        const results = processFile(filePath, scanOnly, functionsToLog);
-        totalModifiedFiles += results.modifiedFiles;
-        totalModifiedFunctions += results.modifiedFunctions;
+  traverse(ast, {
+    Function(path) {
+      const functionName = getFunctionName(path);
+      if (functionName) {
+        functions.push({ functionName, parentName: findParentName(path) });
       }
-    }
+    },
+  });
+  return functions;
+}
+
+// Logs the calls of `functionsToLog` (a list of names) in one file without
+// writing it. Returns null when none of them is declared in the file, and
+// `modified: null` when all of them were logged before.
+function instrumentFile(filePath, functionsToLog, options = {}) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const ast = parseSource(content, getParserOptions(filePath, PARSER_PLUGINS));
+
+  let result;
+  traverse(ast, {
+    Program(programPath) {
+      result = instrumentFunctions(
+        programPath,
+        (functionName) => functionsToLog.includes(functionName),
+        options.runtimeModule,
+        createTargetMatcher(options.target, filePath),
+      );
+      programPath.stop();
+    },
+  });
+
+  const { modifiedFunctions, alreadyLogged } = result;
+  if (modifiedFunctions === 0) {
+    return alreadyLogged > 0
+      ? { content, modified: null, modifiedFunctions, alreadyLogged }
+      : null;
   }
 
+  let modified;
+  if (options.sourceMap) {
+    const output = printWithSourceMap(
+      ast,
+      content,
+      getSourceMapOptions(filePath),
+    );
+    modified = withInlineSourceMap(output.code, output.map);
+  } else {
+    modified = printWithSource(ast, content);
+  }
+  return { content, modified, modifiedFunctions, alreadyLogged };
+}
+
+async function scanFiles(session) {
+  await runFileTasks(
+    session.runner,
+    'functions-scan',
+    session.files,
+    [],
+    (filePath, functions) => {
+      functions.forEach(({ functionName, parentName }) => {
+        functionLocations.set(functionName, filePath);
+        if (parentName) {
+          functionHierarchy.set(functionName, parentName);
+        }
+      });
+    },
+    session.failures,
+  );
+}
+
+async function processFiles(functionsToLog, session) {
+  const { writer } = session.options;
+  let totalModifiedFiles = 0;
+  let totalModifiedFunctions = 0;
+  let totalAlreadyLogged = 0;
+
+  await runFileTasks(
+    session.runner,
+    'functions',
+    session.files,
+    [
+      [...functionsToLog],
+      {
+        runtimeModule: session.options.runtime,
+        sourceMap: session.options.sourceMap,
+        target: session.options.target,
+      },
+    ],
+    (filePath, { content, modified, modifiedFunctions, alreadyLogged }) => {
+      totalAlreadyLogged += alreadyLogged;
+      if (!modified) {
+        return;
+      }
+      writer.write(
+        filePath,
+        content,
+        modified,
+        { functions: modifiedFunctions },
+        `Modified: ${filePath} (${modifiedFunctions} functions)`,
+      );
+      totalModifiedFiles++;
+      totalModifiedFunctions += modifiedFunctions;
+    },
+    session.failures,
+  );
+
   return {
     modifiedFiles: totalModifiedFiles,
     modifiedFunctions: totalModifiedFunctions,
+    alreadyLogged: totalAlreadyLogged,
   };
 }
 
@@ -206,13 +295,7 @@ function categorizeFunctions() {
 
   functionHierarchy.forEach((parentName, funcName) => {
     // Categorize functions based on name patterns
-    if (funcName.startsWith('handle') || funcName.startsWith('on')) {
-      functionRegistry.handlers.add(funcName);
-    } else if (funcName.startsWith('use')) {
-      functionRegistry.hooks.add(funcName);
-    } else {
-      functionRegistry.utils.add(funcName);
-    }
+    functionRegistry[getFunctionCategory(funcName)].add(funcName);
   });
 }
 
@@ -267,7 +350,7 @@ function listSelectedCategories() {
   });
 }
 
-async function addLoggingToSelection() {
+async function addLoggingToSelection(session) {
   const categoryMap = {
     1: 'components',
     2: 'hooks',
@@ -284,32 +367,39 @@ async function addLoggingToSelection() {
     }
   });
 
+  await addLogging(functionsToLog, session);
+}
+
+async function addLogging(functionsToLog, session) {
   if (functionsToLog.size === 0) {
-    console.log('\nNo functions selected for logging!');
+    logger.info('\nNo functions selected for logging!');
     return;
   }
 
-  console.log(`\nAdding logs to ${functionsToLog.size} functions...`);
+  logger.info(`\nAdding logs to ${functionsToLog.size} functions...`);
 
-  try {
-    const results = await processDirectory(
-      process.argv[2],
-      false,
-      functionsToLog,
-    );
+  const results = await processFiles(functionsToLog, session);
+  session.total += results.modifiedFunctions;
+  session.alreadyLogged += results.alreadyLogged;
+  // Every selection is written on its own, so the next one reads its changes
+  const written = session.options.writer.commit(session.failures);
 
-    if (results.modifiedFiles > 0) {
-      console.log(`\nSuccess! Modified ${results.modifiedFiles} files.`);
-      console.log(`Added logs to ${results.modifiedFunctions} functions.`);
-    } else {
-      console.log('\nNo files were modified. Please check your selection.');
-    }
-  } catch (error) {
-    console.error('Error adding logs:', error);
+  if (results.alreadyLogged > 0) {
+    logger.info(`Functions already logged: ${results.alreadyLogged}`);
+  }
+  if (session.options.writer.dryRun) {
+    return;
+  }
+
+  if (written > 0) {
+    logger.info(`\nSuccess! Modified ${written} files.`);
+    logger.info(`Added logs to ${results.modifiedFunctions} functions.`);
+  } else if (results.modifiedFiles === 0) {
+    logger.info('\nNo files were modified. Please check your selection.');
   }
 }
 
-async function handleInput(input) {
+async function handleInput(input, session) {
   input = input.trim().toLowerCase();
 
   if (input === 'q') {
@@ -333,7 +423,7 @@ async function handleInput(input) {
       await waitForEnter();
       return false;
     }
-    await addLoggingToSelection();
+    await addLoggingToSelection(session);
     await waitForEnter();
     return false;
   }
@@ -368,7 +458,7 @@ async function waitForEnter() {
   rl.close();
 }
 
-async function showMenuAndHandleInput() {
+async function showMenuAndHandleInput(session) {
   const rl = readline.createInterface({
     input: process.stdin,
     output: process.stdout,
@@ -378,28 +468,69 @@ async function showMenuAndHandleInput() {
   while (!quit) {
     displayMenu();
     const input = await askQuestion(rl, '\nEnter selection: ');
-    quit = await handleInput(input);
+    quit = await handleInput(input, session);
   }
 
   rl.close();
 }
 
-async function scanProject(projectPath) {
-  console.log('Scanning project...');
-  try {
-    await processDirectory(projectPath, true);
-    categorizeFunctions();
-    await showMenuAndHandleInput();
-  } catch (error) {
-    console.error('Error scanning project:', error);
-    process.exit(1);
+// `debugeffects functions`: scans the files, then asks which categories to
+// log, unless `functions`, `categories` or `target` already select the
+// functions
+async function run(files, options) {
+  const session = {
+    files,
+    options,
+    runner: options.runner || createTaskRunner(),
+    failures: [],
+    total: 0,
+    alreadyLogged: 0,
+  };
+
+  logger.info('Scanning project...');
+  await scanFiles(session);
+  categorizeFunctions();
+
+  if (options.functions || options.categories || options.target) {
+    const names = options.functions || [];
+    // A target such as --component alone logs every function in it
+    const categories =
+      options.categories ||
+      (options.functions ? [] : Object.keys(functionRegistry));
+    // Every scanned function, also those without a parent the menu leaves out
+    const functionsToLog = new Set(
+      [...functionLocations.keys()].filter(
+        (name) =>
+          names.includes(name) ||
+          categories.includes(getFunctionCategory(name)),
+      ),
+    );
+    await addLogging(functionsToLog, session);
+  } else {
+    await showMenuAndHandleInput(session);
   }
-}
 
-// Main execution
-if (process.argv.length < 3) {
-  console.log('Please provide the project directory path');
-  process.exit(1);
+  return {
+    failures: session.failures,
+    total: session.total,
+    alreadyLogged: session.alreadyLogged,
+  };
 }
 
-scanProject(process.argv[2]);
+module.exports = {
+  instrumentFunctions,
+  getFunctionCategory,
+  scanFile,
+  instrumentFile,
+  run,
+};
+
+// `node functionLogger.js <path>` is kept as a shortcut for
+// `debugeffects functions`
+if (require.main === module) {
+  require('./cli')
+    .main(['functions', ...process.argv.slice(2)])
+    .then((code) => {
+      process.exitCode = code;
+    });
+}
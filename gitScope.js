@@ -0,0 +1,108 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+class GitError extends Error {}
+
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, {
+      cwd,
+      encoding: 'utf-8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  } catch (error) {
+    const message = error.stderr ? error.stderr.trim() : error.message;
+    throw new GitError(`git ${args.join(' ')} failed: ${message}`);
+  }
+}
+
+// NUL-separated output of the `-z` flag, which leaves unusual file names
+// unquoted
+function toEntries(output) {
+  return output.split('\0').filter(Boolean);
+}
+
+// Resolves symlinks so paths from git and from the file walker compare
+// equal. A file that no longer exists resolves through its directory.
+function toRealPath(filePath) {
+  const resolved = path.resolve(filePath);
+  try {
+    return fs.realpathSync(resolved);
+  } catch (error) {
+    const dir = path.dirname(resolved);
+    return dir === resolved
+      ? resolved
+      : path.join(toRealPath(dir), path.basename(resolved));
+  }
+}
+
+// Real paths of the files changed compared with `since`, including
+// uncommitted and untracked ones, or of the staged files with `staged`.
+// Deleted files are left out.
+function listChangedFiles({ since, staged }, cwd = process.cwd()) {
+  const root = git(['rev-parse', '--show-toplevel'], cwd).trim();
+  const changed = staged
+    ? toEntries(
+        git(['diff', '--name-only', '-z', '--cached', '--diff-filter=d'], root),
+      )
+    : [
+        ...toEntries(
+          git(
+            ['diff', '--name-only', '-z', '--diff-filter=d', since, '--'],
+            root,
+          ),
+        ),
+        ...toEntries(
+          git(['ls-files', '-z', '--others', '--exclude-standard'], root),
+        ),
+      ];
+
+  return new Set(
+    changed.map((filePath) => toRealPath(path.resolve(root, filePath))),
+  );
+}
+
+// Top directory of the repository `cwd` is in, or null outside of one
+function findRepositoryRoot(cwd = process.cwd()) {
+  try {
+    return path.resolve(git(['rev-parse', '--show-toplevel'], cwd).trim());
+  } catch (error) {
+    return null;
+  }
+}
+
+// Real paths of the tracked files with uncommitted changes, staged or
+// not. Outside of a repository nothing counts as dirty.
+function listDirtyFiles(cwd = process.cwd()) {
+  let root;
+  try {
+    root = git(['rev-parse', '--show-toplevel'], cwd).trim();
+  } catch (error) {
+    return new Set();
+  }
+
+  const entries = git(
+    ['status', '--porcelain', '-z', '--untracked-files=no'],
+    root,
+  ).split('\0');
+  const dirty = new Set();
+  for (let i = 0; i < entries.length; i++) {
+    if (entries[i]) {
+      dirty.add(toRealPath(path.resolve(root, entries[i].slice(3))));
+      // Renames and copies are followed by their source path
+      if (/^[RC]/.test(entries[i])) {
+        i++;
+      }
+    }
+  }
+  return dirty;
+}
+
+module.exports = {
+  GitError,
+  findRepositoryRoot,
+  listChangedFiles,
+  listDirtyFiles,
+  toRealPath,
+};
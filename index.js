@@ -0,0 +1,147 @@
+// The library entry point. Every function takes code or paths and returns
+// its results as data: nothing is printed, prompted for or written, so the
+// results can be used by other tools. The `debugeffects` command in cli.js
+// is built on the same modules.
+const { transformCode } = require('./codeTransformer');
+const { instrumentCode } = require('./useStateLogger');
+const { findInitializations } = require('./useStateInitializationAnalyzer');
+const {
+  ComponentAnalyzer,
+  scanComponents,
+} = require('./performanceMonitoring');
+const { getPluginOptions } = require('./pluginOptions');
+const { createTarget } = require('./targetFilter');
+const { withInlineSourceMap } = require('./sourceMaps');
+const { listSourceFiles } = require('./sourceFiles');
+const { clearParseCache } = require('./parseCache');
+
+// The code passed in is named after `options.filePath` in the logs, and the
+// `--component`, `--hook` and `--line` filters match against it
+const DEFAULT_FILE_PATH = 'component.tsx';
+
+// Unreadable entries go to `failures` and skipped symlink cycles to
+// `warnings`, without printing them
+function listFiles(paths, options, failures, warnings) {
+  return listSourceFiles([].concat(paths), {
+    include: options.include,
+    exclude: options.exclude,
+    extensions: options.extensions,
+    failures,
+    warnings,
+    silent: true,
+  });
+}
+
+// `component`, `hook` and `line` may be given as one string or a list
+function getTarget(options) {
+  return createTarget({
+    component: [].concat(options.component || []),
+    hook: [].concat(options.hook || []),
+    line: [].concat(options.line || []),
+  });
+}
+
+// Runs `analyze` on every file, collecting the files it throws on
+function forEachFile(files, failures, analyze) {
+  files.forEach((filePath) => {
+    try {
+      analyze(filePath);
+    } catch (error) {
+      failures.push({ filePath, message: error.message });
+    }
+  });
+}
+
+// Instruments the hooks in `code`, as `debugeffects effects` does. Takes
+// the options of the CLI and the config file, e.g. `hooks`, `logPrefix`,
+// `runtime`, `sourceMap` or `component`. Throws when the code cannot be
+// parsed.
+function instrumentEffects(code, options = {}) {
+  const filePath = options.filePath || DEFAULT_FILE_PATH;
+  const { hooks, loop, logPrefix, runtimeModule, rootDir } =
+    getPluginOptions(options);
+  const result = transformCode(code, filePath, {
+    hooks,
+    loop,
+    logPrefix,
+    runtimeModule,
+    rootDir,
+    sourceMaps: options.sourceMap,
+    analyzeOnly: options.analyzeDeps,
+    target: getTarget(options),
+  });
+
+  return {
+    code:
+      result.modified && result.map
+        ? withInlineSourceMap(result.modified, result.map)
+        : result.modified || code,
+    changed: Boolean(result.modified),
+    hooksInstrumented: result.effectsCount,
+    alreadyInstrumented: result.alreadyInstrumented,
+    skipped: result.skipped,
+    warnings: result.warnings,
+    dependencyFindings: result.dependencyFindings,
+  };
+}
+
+// Logs the `useState` setter calls in `code`, as `debugeffects state` does
+function instrumentSetters(code, options = {}) {
+  const result = instrumentCode(code, options.filePath || DEFAULT_FILE_PATH, {
+    runtimeModule: options.runtime,
+    sourceMap: options.sourceMap,
+    target: getTarget(options),
+  });
+
+  return {
+    code: (result && result.modified) || code,
+    changed: Boolean(result && result.modified),
+    settersLogged: result ? result.settersLogged : 0,
+    alreadyLogged: result ? result.alreadyLogged : 0,
+  };
+}
+
+// The expensive `useState` initializations in the files below `paths`, as
+// `debugeffects analyze-state` reports them. `options` takes `include`,
+// `exclude` and `extensions`.
+function analyzeStateInit(paths, options = {}) {
+  const failures = [];
+  const warnings = [];
+  const findings = [];
+  const files = listFiles(paths, options, failures, warnings);
+  forEachFile(files, failures, (filePath) => {
+    findings.push(...findInitializations(filePath));
+  });
+  return { findings, failures, warnings };
+}
+
+// The components declared in the files below `paths` and which of them
+// render which, as `debugeffects profile` shows them. `tree` nests the
+// children below the components no other component renders.
+function buildComponentGraph(paths, options = {}) {
+  const analyzer = new ComponentAnalyzer();
+  const failures = [];
+  const warnings = [];
+  try {
+    const files = listFiles(paths, options, failures, warnings);
+    forEachFile(files, failures, (filePath) => {
+      analyzer.addFileComponents(filePath, scanComponents(filePath));
+    });
+  } finally {
+    // scanComponents keeps the ASTs for the profile command to rewrite
+    clearParseCache();
+  }
+  return {
+    components: analyzer.getGraph(),
+    tree: analyzer.getComponentsAsTree(),
+    failures,
+    warnings,
+  };
+}
+
+module.exports = {
+  instrumentEffects,
+  instrumentSetters,
+  analyzeStateInit,
+  buildComponentGraph,
+};
@@ -0,0 +1,32 @@
+const t = require('@babel/types');
+
+// Every node injected by the tools carries this comment so it can be found
+// and removed again without touching the surrounding code
+const MARKER = '@debugeffects';
+
+function markNode(node) {
+  t.addComment(node, 'leading', ` ${MARKER} `);
+  return node;
+}
+
+function isMarkerComment(comment) {
+  return comment.type === 'CommentBlock' && comment.value.trim() === MARKER;
+}
+
+function isMarked(node) {
+  return Boolean(
+    node && node.leadingComments && node.leadingComments.some(isMarkerComment),
+  );
+}
+
+function hasInstrumentation(code) {
+  return code.includes(`/* ${MARKER} */`);
+}
+
+module.exports = {
+  MARKER,
+  markNode,
+  isMarked,
+  isMarkerComment,
+  hasInstrumentation,
+};
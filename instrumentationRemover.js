@@ -0,0 +1,271 @@
+const parser = require('@babel/parser');
+const { getParserOptions } = require('./parserOptions');
+const traverse = require('@babel/traverse').default;
+const t = require('@babel/types');
+const {
+  isMarkerComment,
+  hasInstrumentation,
+} = require('./instrumentationMarker');
+const { stripInlineSourceMap } = require('./sourceMaps');
+const { getParenthesizedRange, findClosingParen } = require('./sourcePrinter');
+
+// Maps the position of every marked piece of code to the start of its
+// marker comment. The parser may attach a marker to any node starting
+// there, e.g. to the sequence in `(/* marker */log(), setX(v))`, so code is
+// matched by position instead of by its comments.
+function findMarkedStarts(source, comments) {
+  const markedStarts = new Map();
+  const targets = new Map();
+  const space = /\s*/y;
+  comments
+    .filter(isMarkerComment)
+    .reverse()
+    .forEach((comment) => {
+      space.lastIndex = comment.end;
+      space.exec(source);
+      // Stacked markers, one per run, all mark the code after the last one
+      const target = targets.has(space.lastIndex)
+        ? targets.get(space.lastIndex)
+        : space.lastIndex;
+      targets.set(comment.start, target);
+      markedStarts.set(target, comment.start);
+    });
+  return markedStarts;
+}
+
+// The Profiler wrapper always has exactly one real child: the original JSX
+function getProfilerChild(node) {
+  const children = node.children.filter(
+    (child) => !t.isJSXText(child) || child.value.trim() !== '',
+  );
+  return children.length === 1 && !t.isJSXText(children[0])
+    ? children[0]
+    : null;
+}
+
+// Collects the text edits that remove the instrumentation from `source`.
+// Each edit replaces the text between `start` and `end` with `text`.
+class Removal {
+  constructor(source, comments) {
+    this.source = source;
+    this.markedStarts = findMarkedStarts(source, comments);
+    this.edits = [];
+    this.count = 0;
+  }
+
+  isMarked(node) {
+    return this.markedStarts.has(node.start);
+  }
+
+  // Source position where a marked node starts, including its marker comment
+  getMarkedStart(node) {
+    return this.isMarked(node) ? this.markedStarts.get(node.start) : node.start;
+  }
+
+  remove(start, end, text = '') {
+    this.edits.push({ start, end, text });
+  }
+
+  // Removes an added statement together with the space printed after it,
+  // or its whole line when nothing else is left on it
+  removeStatement(node) {
+    const { source } = this;
+    let start = this.getMarkedStart(node);
+    let end = node.end;
+    const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+    const rest = /^[ \t]*(\r?\n|$)/.exec(source.slice(end));
+    if (rest && source.slice(lineStart, start).trim() === '') {
+      start = lineStart;
+      end += rest[0].length;
+    } else if (source[end] === ' ') {
+      end++;
+    } else if (source[start - 1] === ' ') {
+      start--;
+    }
+    this.remove(start, end);
+  }
+
+  // `(log(), setX(v))` back to `setX(v)`
+  removeSequenceHead(node) {
+    const { source } = this;
+    const [head, rest] = node.expressions;
+    const start = this.getMarkedStart(head);
+    // The setter call keeps parentheses of its own
+    const kept = getParenthesizedRange(source, rest);
+    this.remove(start, kept.start);
+
+    const open = source.slice(0, start).search(/\(\s*$/);
+    const close = findClosingParen(source, kept.end);
+    if (
+      node.expressions.length === 2 &&
+      node.extra &&
+      node.extra.parenthesized &&
+      open !== -1 &&
+      close !== -1
+    ) {
+      this.remove(open, start);
+      this.remove(kept.end, close);
+    }
+  }
+
+  // Keeps `inner` and drops the marked node around it
+  unwrap(node, inner) {
+    const { start, end } = getParenthesizedRange(this.source, inner);
+    this.remove(this.getMarkedStart(node), start);
+    this.remove(end, node.end);
+  }
+
+  // Expression-bodied functions are turned into blocks so logs can be added.
+  // Once the logs are gone, `{ return expr; }` goes back to `expr`.
+  restoreExpressionBody(node) {
+    const statements = node.body.filter(
+      (statement) => !this.isMarked(statement),
+    );
+    const removed = node.body.length - statements.length;
+
+    const [statement] = statements;
+    if (
+      statements.length === 1 &&
+      t.isReturnStatement(statement) &&
+      statement.argument
+    ) {
+      const { argument } = statement;
+      const { start, end } = getParenthesizedRange(this.source, argument);
+      // Object literals need their parentheses back
+      const wrap = t.isObjectExpression(argument) && start === argument.start;
+      this.remove(this.getMarkedStart(node), start, wrap ? '(' : '');
+      this.remove(end, node.end, wrap ? ')' : '');
+    } else {
+      this.remove(this.getMarkedStart(node), node.start);
+      node.body
+        .filter((statement) => this.isMarked(statement))
+        .forEach((marked) => this.removeStatement(marked));
+    }
+    return removed;
+  }
+
+  // Marker comments no edit has removed yet, e.g. copies left by the
+  // generator between statements
+  removeMarkerComments(comments) {
+    comments
+      .filter(isMarkerComment)
+      .filter(
+        (comment) =>
+          !this.edits.some(
+            (edit) => edit.start <= comment.start && comment.end <= edit.end,
+          ),
+      )
+      .forEach((comment) => {
+        this.remove(
+          comment.start,
+          this.source[comment.end] === ' ' ? comment.end + 1 : comment.end,
+        );
+      });
+  }
+
+  // Applies the edits from the end of the file. Edits inside the text an
+  // outer edit removes are dropped.
+  apply() {
+    const edits = [...this.edits].sort(
+      (a, b) => a.start - b.start || b.end - a.end,
+    );
+    const kept = [];
+    edits.forEach((edit) => {
+      const previous = kept[kept.length - 1];
+      if (!previous || edit.start >= previous.end) {
+        kept.push(edit);
+      } else if (edit.end > previous.end) {
+        previous.end = edit.end;
+      }
+    });
+    return kept.reduceRight(
+      (code, edit) =>
+        code.slice(0, edit.start) + edit.text + code.slice(edit.end),
+      this.source,
+    );
+  }
+}
+
+function removeInstrumentation(code, filePath) {
+  if (!hasInstrumentation(code)) {
+    return { modified: null, removedCount: 0 };
+  }
+
+  // The inline map of an instrumented file no longer matches once the
+  // instrumentation is gone
+  const source = stripInlineSourceMap(code);
+  const ast = parser.parse(
+    source,
+    getParserOptions(filePath, ['decorators-legacy']),
+  );
+
+  // Only the marked code is cut out of the source, so the rest of the file
+  // keeps its formatting
+  const removal = new Removal(source, ast.comments);
+  const handled = new WeakSet();
+
+  traverse(ast, {
+    enter(path) {
+      const node = path.node;
+      if (handled.has(node)) {
+        path.skip();
+        return;
+      }
+
+      // Setter logs inside expressions are emitted as `(log(), setX(v))`.
+      // Only the marked log goes, a sequence of the user's own that starts
+      // with such a sequence is left alone.
+      if (
+        t.isSequenceExpression(node) &&
+        node.expressions.length > 1 &&
+        t.isCallExpression(node.expressions[0]) &&
+        removal.isMarked(node.expressions[0])
+      ) {
+        removal.removeSequenceHead(node);
+        handled.add(node.expressions[0]);
+        removal.count++;
+        return;
+      }
+
+      if (!removal.isMarked(node)) {
+        return;
+      }
+
+      if (t.isCallExpression(node)) {
+        // Wrappers such as trackEffectCleanup(..., cleanup) take the
+        // original expression as their last argument
+        removal.unwrap(node, node.arguments[node.arguments.length - 1]);
+        removal.count++;
+      } else if (t.isJSXElement(node)) {
+        const child = getProfilerChild(node);
+        if (child) {
+          removal.unwrap(node, child);
+          removal.count++;
+        }
+      } else if (t.isBlockStatement(node) && path.parentPath.isFunction()) {
+        removal.count += removal.restoreExpressionBody(node) + 1;
+        node.body
+          .filter((statement) => removal.isMarked(statement))
+          .forEach((marked) => handled.add(marked));
+      } else if (
+        t.isStatement(node) &&
+        (path.inList || path.parentPath.isProgram())
+      ) {
+        removal.removeStatement(node);
+        removal.count++;
+        path.skip();
+      }
+    },
+  });
+
+  if (removal.count === 0) {
+    return { modified: null, removedCount: 0 };
+  }
+
+  removal.removeMarkerComments(ast.comments);
+  return { modified: removal.apply(), removedCount: removal.count };
+}
+
+module.exports = {
+  removeInstrumentation,
+};
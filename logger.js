@@ -0,0 +1,56 @@
+// Progress output of the commands. `--quiet` keeps only warnings and
+// errors, `--verbose` adds per-file details, and `--format json` silences
+// everything but errors so the JSON result on stdout can be piped.
+const LEVELS = {
+  silent: 0,
+  quiet: 1,
+  normal: 2,
+  verbose: 3,
+};
+
+let level = LEVELS.normal;
+
+function setVerbosity(name) {
+  level = LEVELS[name] !== undefined ? LEVELS[name] : LEVELS.normal;
+}
+
+function warn(...args) {
+  if (level >= LEVELS.quiet) console.warn(...args);
+}
+
+function info(...args) {
+  if (level >= LEVELS.normal) console.log(...args);
+}
+
+function verbose(...args) {
+  if (level >= LEVELS.verbose) console.log(...args);
+}
+
+// `failures` collects the errors for the exit code and the JSON result, once
+// per file: `functions` and `profile` read every file in two phases and
+// would report a broken file twice. Returns false for a file already in it.
+function collectFailure(filePath, error, failures) {
+  if (failures && failures.some((failure) => failure.filePath === filePath)) {
+    return false;
+  }
+  if (failures) {
+    failures.push({ filePath, message: error.message });
+  }
+  return true;
+}
+
+// Errors are always printed, and collected in `failures`
+function reportFailure(filePath, error, failures) {
+  if (collectFailure(filePath, error, failures)) {
+    console.error(`Error processing ${filePath}:`, error.message);
+  }
+}
+
+module.exports = {
+  setVerbosity,
+  collectFailure,
+  reportFailure,
+  warn,
+  info,
+  verbose,
+};
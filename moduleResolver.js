@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tried in this order for imports without an extension, also as
+// `<dir>/index<ext>`
+const RESOLVE_EXTENSIONS = ['.tsx', '.ts', '.jsx', '.js', '.mjs', '.cjs'];
+const CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+// Path settings of the tsconfig.json or jsconfig.json that applies to a
+// directory, cached per directory
+const configsByDir = new Map();
+
+// tsconfig.json allows comments and trailing commas
+function parseJsonc(text) {
+  let json = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      const start = i;
+      for (i++; i < text.length && text[i] !== '"'; i++) {
+        if (text[i] === '\\') i++;
+      }
+      json += text.slice(start, i + 1);
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      json += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else if (char === '}' || char === ']') {
+      json = json.replace(/,\s*$/, '') + char;
+    } else {
+      json += char;
+    }
+  }
+  return JSON.parse(json);
+}
+
+function resolveExtends(extendsPath, configDir) {
+  if (extendsPath.startsWith('.') || path.isAbsolute(extendsPath)) {
+    const filePath = path.resolve(configDir, extendsPath);
+    return filePath.endsWith('.json') ? filePath : `${filePath}.json`;
+  }
+  // A shared config from a package, e.g. `@tsconfig/vite-react`
+  return require.resolve(extendsPath, { paths: [configDir] });
+}
+
+// `baseUrl` and `paths` of a config file and the configs it extends. Paths
+// are relative to `baseUrl`, or else to the config file that sets them.
+function readPathSettings(configFile, seen = new Set()) {
+  if (seen.has(configFile)) {
+    return {};
+  }
+  seen.add(configFile);
+
+  const configDir = path.dirname(configFile);
+  const config = parseJsonc(fs.readFileSync(configFile, 'utf-8'));
+  const inherited = {};
+  [].concat(config.extends || []).forEach((extendsPath) => {
+    try {
+      const parent = readPathSettings(
+        resolveExtends(extendsPath, configDir),
+        seen,
+      );
+      // Of several extended configs, the later ones win
+      Object.keys(parent).forEach((key) => {
+        if (parent[key] !== undefined) inherited[key] = parent[key];
+      });
+    } catch (error) {
+      // A missing shared config leaves only the settings of this file
+    }
+  });
+
+  const { baseUrl, paths } = config.compilerOptions || {};
+  return {
+    baseUrl: baseUrl ? path.resolve(configDir, baseUrl) : inherited.baseUrl,
+    paths: paths || inherited.paths,
+    pathsDir: paths ? configDir : inherited.pathsDir,
+  };
+}
+
+// The settings of the closest config file above `dirPath`, or null
+function findPathSettings(dirPath) {
+  if (configsByDir.has(dirPath)) {
+    return configsByDir.get(dirPath);
+  }
+
+  let settings = null;
+  const configFile = CONFIG_FILES.map((name) => path.join(dirPath, name)).find(
+    (filePath) => fs.existsSync(filePath),
+  );
+  if (configFile) {
+    try {
+      settings = readPathSettings(configFile);
+    } catch (error) {
+      // An unreadable config resolves relative imports only
+      settings = {};
+    }
+  } else if (path.dirname(dirPath) !== dirPath) {
+    settings = findPathSettings(path.dirname(dirPath));
+  }
+
+  configsByDir.set(dirPath, settings);
+  return settings;
+}
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+// The source file an import of `basePath` loads: the file itself, the file
+// with one of the extensions or the index file of the directory. TypeScript
+// imports of `./Button.js` load `./Button.ts`.
+function resolveFile(basePath) {
+  const withoutExtension = basePath.replace(/\.(c|m)?jsx?$/, '');
+  const candidates = [
+    ...(RESOLVE_EXTENSIONS.includes(path.extname(basePath)) ? [basePath] : []),
+    ...RESOLVE_EXTENSIONS.map((extension) => basePath + extension),
+    ...(withoutExtension !== basePath
+      ? ['.ts', '.tsx'].map((extension) => withoutExtension + extension)
+      : []),
+    ...RESOLVE_EXTENSIONS.map((extension) =>
+      path.join(basePath, `index${extension}`),
+    ),
+  ];
+  const found = candidates.find(isFile);
+  return found ? path.resolve(found) : null;
+}
+
+// `paths` pattern matching `specifier` with the longest prefix, as
+// TypeScript picks it. Returns the text matched by its `*`.
+function matchPathPattern(paths, specifier) {
+  let best = null;
+  Object.keys(paths).forEach((pattern) => {
+    const star = pattern.indexOf('*');
+    const prefix = star === -1 ? pattern : pattern.slice(0, star);
+    const suffix = star === -1 ? '' : pattern.slice(star + 1);
+    const matches =
+      star === -1
+        ? specifier === pattern
+        : specifier.length >= prefix.length + suffix.length &&
+          specifier.startsWith(prefix) &&
+          specifier.endsWith(suffix);
+    if (matches && (!best || prefix.length > best.prefix.length)) {
+      best = {
+        pattern,
+        prefix,
+        wildcard:
+          star === -1
+            ? ''
+            : specifier.slice(prefix.length, specifier.length - suffix.length),
+      };
+    }
+  });
+  return best;
+}
+
+// Absolute path of the file `specifier` refers to when imported from
+// `fromFile`: relative imports, and the `paths` aliases and `baseUrl` of the
+// closest tsconfig.json or jsconfig.json. Returns null for packages and
+// anything else that does not resolve to a file.
+function resolveImport(fromFile, specifier) {
+  const fromDir = path.dirname(path.resolve(fromFile));
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return resolveFile(path.resolve(fromDir, specifier));
+  }
+
+  const settings = findPathSettings(fromDir);
+  if (!settings) {
+    return null;
+  }
+
+  if (settings.paths) {
+    const match = matchPathPattern(settings.paths, specifier);
+    if (match) {
+      const pathsBase = settings.baseUrl || settings.pathsDir;
+      const targets = [].concat(settings.paths[match.pattern]);
+      for (const target of targets) {
+        const resolved = resolveFile(
+          path.resolve(pathsBase, target.replace('*', match.wildcard)),
+        );
+        if (resolved) {
+          return resolved;
+        }
+      }
+    }
+  }
+
+  return settings.baseUrl
+    ? resolveFile(path.resolve(settings.baseUrl, specifier))
+    : null;
+}
+
+module.exports = {
+  resolveImport,
+};
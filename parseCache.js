@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const parser = require('@babel/parser');
+
+// ASTs kept between the scan and the rewrite phase of `functions` and
+// `profile`, keyed by a hash of the parser options and the file content, so
+// an edited file is parsed again. Every worker thread has its own cache.
+// Once it is full new ASTs are not kept: both phases go through the files
+// in the same order, so evicting the oldest entries would miss every time.
+const MAX_ENTRIES = 2000;
+const cache = new Map();
+
+function getCacheKey(code, parserOptions) {
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify(parserOptions))
+    .update(code)
+    .digest('hex');
+}
+
+// `keep` leaves the AST in the cache for a later phase and must only be used
+// by callers that do not change it. Without it the cached AST is handed over
+// and removed, so the caller may rewrite it.
+function parseSource(code, parserOptions, { keep = false } = {}) {
+  const key = getCacheKey(code, parserOptions);
+  let ast = cache.get(key);
+  cache.delete(key);
+
+  if (!ast) {
+    ast = parser.parse(code, parserOptions);
+  }
+  if (keep && cache.size < MAX_ENTRIES) {
+    cache.set(key, ast);
+  }
+  return ast;
+}
+
+function clearParseCache() {
+  cache.clear();
+}
+
+module.exports = {
+  parseSource,
+  clearParseCache,
+};
@@ -0,0 +1,21 @@
+// JSX is only enabled where it cannot clash with TypeScript casts such as
+// `<any>window` in a .ts file
+function getParserPlugins(filePath) {
+  if (/\.tsx$/.test(filePath)) return ['typescript', 'jsx'];
+  if (/\.(c|m)?ts$/.test(filePath)) return ['typescript'];
+  return ['jsx'];
+}
+
+// Options of @babel/parser for one file, with the syntax plugins its
+// extension allows and the `extraPlugins` of the caller, e.g. decorators
+function getParserOptions(filePath, extraPlugins = []) {
+  return {
+    sourceType: 'module',
+    plugins: [...getParserPlugins(filePath), ...extraPlugins],
+  };
+}
+
+module.exports = {
+  getParserPlugins,
+  getParserOptions,
+};
@@ -1,45 +1,233 @@
 const fs = require('fs');
 const path = require('path');
-const parser = require('@babel/parser');
 const traverse = require('@babel/traverse').default;
-const generate = require('@babel/generator').default;
 const t = require('@babel/types');
 const prompts = require('prompts');
+const { markNode, isMarked } = require('./instrumentationMarker');
+const { addRuntimeImport } = require('./runtimeImport');
+const { getSourceMapOptions, withInlineSourceMap } = require('./sourceMaps');
+const { printWithSource, printWithSourceMap } = require('./sourcePrinter');
+const { parseSource } = require('./parseCache');
+const { getParserOptions } = require('./parserOptions');
+const { createTargetMatcher } = require('./targetFilter');
+const { resolveImport } = require('./moduleResolver');
+const { createTaskRunner, runFileTasks } = require('./taskRunner');
+const logger = require('./logger');
 
 class ComponentNode {
-  constructor(name, filePath, type = 'component') {
+  constructor(id, name, filePath, type = 'component') {
+    this.id = id;
     this.name = name;
     this.filePath = filePath;
     this.type = type;
     this.children = new Set();
     this.parents = new Set();
-    this.imports = new Set();
   }
 }
 
+// Components are told apart by their file and name, so two `Button`s in
+// different folders are two components, e.g. `src/ui/Button.tsx#Button`
+function getComponentId(filePath, name) {
+  return `${path.relative(process.cwd(), path.resolve(filePath))}#${name}`;
+}
+
 class ComponentAnalyzer {
   constructor() {
+    // Nodes by the id of getComponentId
     this.components = new Map();
-    this.currentFilePath = '';
+    // Result of scanComponents by absolute file path
+    this.files = new Map();
+    // Files only read to follow the exports of barrel files
+    this.exportScans = new Map();
+    this.linked = true;
   }
 
-  addComponent(name, type = 'component') {
-    if (!this.components.has(name)) {
-      this.components.set(
-        name,
-        new ComponentNode(name, this.currentFilePath, type),
-      );
+  // Adds the result of scanComponents for one file. Which component renders
+  // which is worked out once all files are added.
+  addFileComponents(filePath, scan) {
+    this.files.set(path.resolve(filePath), scan);
+    scan.components.forEach((name) => {
+      const id = getComponentId(filePath, name);
+      if (!this.components.has(id)) {
+        this.components.set(
+          id,
+          new ComponentNode(
+            id,
+            name,
+            filePath,
+            this.detectComponentType(filePath, name),
+          ),
+        );
+      }
+    });
+    this.linked = false;
+  }
+
+  analyzeFile(filePath, failures) {
+    try {
+      this.addFileComponents(filePath, scanComponents(filePath));
+    } catch (error) {
+      logger.reportFailure(filePath, error, failures);
+    }
+  }
+
+  // Links every rendered element to the component it resolves to, through
+  // the imports and exports of the files
+  link() {
+    if (this.linked) return;
+    this.components.forEach((component) => {
+      component.children.clear();
+      component.parents.clear();
+    });
+    this.files.forEach((scan, filePath) => {
+      scan.rendered.forEach(([parentName, elementName]) => {
+        const parent = this.components.get(
+          getComponentId(filePath, parentName),
+        );
+        const child = this.resolveElement(filePath, scan, elementName);
+        if (parent && child) {
+          parent.children.add(child.id);
+          child.parents.add(parent.id);
+        }
+      });
+    });
+    this.linked = true;
+  }
+
+  // The component `<Name>` or `<Namespace.Name>` renders in a file
+  resolveElement(filePath, scan, elementName) {
+    const [localName, memberName] = elementName.split('.');
+    if (!memberName && scan.components.includes(localName)) {
+      return this.components.get(getComponentId(filePath, localName)) || null;
+    }
+    const imported = scan.imports[localName];
+    if (!imported || !imported.source) {
+      return null;
     }
-    return this.components.get(name);
+    if (imported.imported === '*') {
+      return memberName
+        ? this.resolveExport(imported.source, memberName)
+        : null;
+    }
+    return memberName
+      ? null
+      : this.resolveExport(imported.source, imported.imported);
   }
 
-  addRelationship(parentName, childName) {
-    const parent = this.components.get(parentName);
-    const child = this.components.get(childName);
-    if (parent && child) {
-      parent.children.add(childName);
-      child.parents.add(parentName);
+  // The component a file exports as `exportName`, also when it is
+  // re-exported from another file, e.g. by an index.ts barrel
+  resolveExport(filePath, exportName, seen = new Set()) {
+    const key = `${filePath}#${exportName}`;
+    const scan = this.getScan(filePath);
+    if (!scan || seen.has(key)) {
+      return null;
+    }
+    seen.add(key);
+
+    const localName = scan.exports[exportName];
+    if (localName !== undefined) {
+      if (scan.components.includes(localName)) {
+        return this.components.get(getComponentId(filePath, localName)) || null;
+      }
+      // `import Button from './Button'; export { Button };`
+      const imported = scan.imports[localName];
+      return imported && imported.source && imported.imported !== '*'
+        ? this.resolveExport(imported.source, imported.imported, seen)
+        : null;
+    }
+
+    const reExport = scan.reExports.find(
+      (entry) => entry.exported === exportName,
+    );
+    if (reExport) {
+      return reExport.source && reExport.imported !== '*'
+        ? this.resolveExport(reExport.source, reExport.imported, seen)
+        : null;
+    }
+
+    // `export *` never re-exports the default export
+    if (exportName === 'default') {
+      return null;
+    }
+    for (const source of scan.exportAll) {
+      const found = this.resolveExport(source, exportName, seen);
+      if (found) {
+        return found;
+      }
     }
+    return null;
+  }
+
+  // Barrel files left out of the run, e.g. by --include, are still read to
+  // follow their exports
+  getScan(filePath) {
+    if (this.files.has(filePath)) {
+      return this.files.get(filePath);
+    }
+    if (!this.exportScans.has(filePath)) {
+      let scan = null;
+      try {
+        scan = scanComponents(filePath);
+      } catch (error) {
+        // Imports of unreadable files resolve to nothing
+      }
+      this.exportScans.set(filePath, scan);
+    }
+    return this.exportScans.get(filePath);
+  }
+
+  // Components named `name`, one for each file declaring one
+  findComponents(name) {
+    return Array.from(this.components.values()).filter(
+      (component) => component.name === name,
+    );
+  }
+
+  // Files of the components that render a component declared in one of
+  // `filePaths`
+  getImporterFiles(filePaths) {
+    this.link();
+    const resolved = new Set(
+      filePaths.map((filePath) => path.resolve(filePath)),
+    );
+    const importers = new Set();
+    this.components.forEach((component) => {
+      if (!resolved.has(path.resolve(component.filePath))) return;
+      component.parents.forEach((parentId) => {
+        importers.add(this.components.get(parentId).filePath);
+      });
+    });
+    return [...importers];
+  }
+
+  // The ids of the components named `names` and of every component they
+  // render, directly or further down
+  getDescendants(names) {
+    this.link();
+    const descendants = new Set();
+    const visit = (component) => {
+      if (descendants.has(component.id)) return;
+      descendants.add(component.id);
+      component.children.forEach((childId) =>
+        visit(this.components.get(childId)),
+      );
+    };
+    names.forEach((name) => this.findComponents(name).forEach(visit));
+    return [...descendants];
+  }
+
+  // Every component with the ids of its parents and children, as plain
+  // data
+  getGraph() {
+    this.link();
+    return Array.from(this.components.values()).map((component) => ({
+      id: component.id,
+      name: component.name,
+      filePath: component.filePath,
+      type: component.type,
+      parents: [...component.parents],
+      children: [...component.children],
+    }));
   }
 
   detectComponentType(filePath, componentName) {
@@ -59,83 +247,8 @@ class ComponentAnalyzer {
     return 'component';
   }
 
-  analyzeFile(filePath) {
-    if (!shouldProcessFile(filePath)) return;
-
-    this.currentFilePath = filePath;
-    const content = fs.readFileSync(filePath, 'utf-8');
-
-    try {
-      const ast = parser.parse(content, {
-        sourceType: 'module',
-        plugins: ['jsx', 'typescript'],
-      });
-
-      const importedComponents = new Set();
-      const analyzer = this;
-
-      traverse(ast, {
-        ImportDeclaration(path) {
-          path.node.specifiers.forEach((spec) => {
-            if (t.isImportSpecifier(spec) || t.isImportDefaultSpecifier(spec)) {
-              const name = spec.local.name;
-              if (/^[A-Z]/.test(name)) {
-                importedComponents.add(name);
-              }
-            }
-          });
-        },
-
-        FunctionDeclaration(path) {
-          if (isReactComponent(path)) {
-            const name = path.node.id.name;
-            const type = analyzer.detectComponentType(filePath, name);
-            analyzer.addComponent(name, type);
-
-            path.traverse({
-              JSXElement(jsxPath) {
-                const elementName = jsxPath.node.openingElement.name.name;
-                if (
-                  /^[A-Z]/.test(elementName) &&
-                  importedComponents.has(elementName)
-                ) {
-                  analyzer.addRelationship(name, elementName);
-                }
-              },
-            });
-          }
-        },
-
-        VariableDeclarator(path) {
-          if (
-            t.isArrowFunctionExpression(path.node.init) &&
-            path.node.id &&
-            isReactComponent(path)
-          ) {
-            const name = path.node.id.name;
-            const type = analyzer.detectComponentType(filePath, name);
-            analyzer.addComponent(name, type);
-
-            path.traverse({
-              JSXElement(jsxPath) {
-                const elementName = jsxPath.node.openingElement.name.name;
-                if (
-                  /^[A-Z]/.test(elementName) &&
-                  importedComponents.has(elementName)
-                ) {
-                  analyzer.addRelationship(name, elementName);
-                }
-              },
-            });
-          }
-        },
-      });
-    } catch (error) {
-      console.error(`Error analyzing ${filePath}:`, error);
-    }
-  }
-
   printHierarchy() {
+    this.link();
     const printed = new Set();
     const roots = Array.from(this.components.values()).filter(
       (component) => component.parents.size === 0,
@@ -144,8 +257,8 @@ class ComponentAnalyzer {
     console.log('\n📊 Component Hierarchy:\n');
 
     const printNode = (node, level = 0) => {
-      if (printed.has(node.name)) return;
-      printed.add(node.name);
+      if (printed.has(node.id)) return;
+      printed.add(node.id);
 
       const indent = '  '.repeat(level);
       const typeEmoji =
@@ -158,11 +271,8 @@ class ComponentAnalyzer {
 
       console.log(`${indent}${typeEmoji} ${node.name} (${node.type})`);
 
-      for (const childName of node.children) {
-        const child = this.components.get(childName);
-        if (child) {
-          printNode(child, level + 1);
-        }
+      for (const childId of node.children) {
+        printNode(this.components.get(childId), level + 1);
       }
     };
 
@@ -170,28 +280,27 @@ class ComponentAnalyzer {
   }
 
   getComponentsAsTree() {
+    this.link();
     const tree = [];
     const visited = new Set();
 
     // Helper function to build tree structure
     const buildTree = (component) => {
-      if (visited.has(component.name)) return null;
-      visited.add(component.name);
+      if (visited.has(component.id)) return null;
+      visited.add(component.id);
 
       const node = {
+        id: component.id,
         name: component.name,
         type: component.type,
         filePath: component.filePath,
         children: [],
       };
 
-      for (const childName of component.children) {
-        const childComponent = this.components.get(childName);
-        if (childComponent) {
-          const childNode = buildTree(childComponent);
-          if (childNode) {
-            node.children.push(childNode);
-          }
+      for (const childId of component.children) {
+        const childNode = buildTree(this.components.get(childId));
+        if (childNode) {
+          node.children.push(childNode);
         }
       }
 
@@ -228,7 +337,7 @@ class ComponentAnalyzer {
       // Add parent component
       choices.push({
         title: `${indent}${typeEmojis[node.type] || '🧩'} ${node.name}`,
-        value: node.name,
+        value: node.id,
         description: `${node.type} - ${path.basename(node.filePath)}`,
       });
 
@@ -300,7 +409,7 @@ class ComponentAnalyzer {
       if (selectedComponents.includes(`*${type}*`)) {
         const componentsOfType = Array.from(this.components.values())
           .filter((c) => c.type === type)
-          .map((c) => c.name);
+          .map((c) => c.id);
         selectedComponents = selectedComponents.concat(componentsOfType);
       }
     }
@@ -310,15 +419,141 @@ class ComponentAnalyzer {
   }
 }
 
-function shouldProcessFile(filePath) {
+// Name of a rendered element that may be a component: `Button` or
+// `Namespace.Button`
+function getElementName(nameNode) {
+  if (t.isJSXIdentifier(nameNode) && /^[A-Z]/.test(nameNode.name)) {
+    return nameNode.name;
+  }
   if (
-    filePath.endsWith('.test.tsx') ||
-    filePath.endsWith('.spec.tsx') ||
-    filePath.endsWith('.stories.tsx')
+    t.isJSXMemberExpression(nameNode) &&
+    t.isJSXIdentifier(nameNode.object) &&
+    /^[A-Z]/.test(nameNode.property.name)
   ) {
-    return false;
+    return `${nameNode.object.name}.${nameNode.property.name}`;
   }
-  return filePath.endsWith('.tsx');
+  return null;
+}
+
+function getExportedName(node) {
+  return t.isStringLiteral(node) ? node.value : node.name;
+}
+
+// Components declared in one file, the elements each of them renders, and
+// the imports and exports of the file, with their sources resolved to file
+// paths. The ComponentAnalyzer links them up. The AST is kept for
+// instrumentFile.
+function scanComponents(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const ast = parseSource(content, getParserOptions(filePath), {
+    keep: true,
+  });
+
+  const components = [];
+  const rendered = [];
+  // Local name to `{ source, imported }`, `imported` being the exported
+  // name, `default` or `*` for a namespace
+  const imports = {};
+  // Exported name to local name
+  const exports = {};
+  const reExports = [];
+  const exportAll = [];
+  const resolve = (source) => resolveImport(filePath, source);
+
+  const addComponent = (componentPath, name) => {
+    components.push(name);
+    componentPath.traverse({
+      JSXElement(jsxPath) {
+        const elementName = getElementName(jsxPath.node.openingElement.name);
+        if (elementName) {
+          rendered.push([name, elementName]);
+        }
+      },
+    });
+  };
+
+  traverse(ast, {
+    ImportDeclaration(path) {
+      const source = resolve(path.node.source.value);
+      path.node.specifiers.forEach((spec) => {
+        imports[spec.local.name] = {
+          source,
+          imported: t.isImportNamespaceSpecifier(spec)
+            ? '*'
+            : t.isImportDefaultSpecifier(spec)
+              ? 'default'
+              : getExportedName(spec.imported),
+        };
+      });
+    },
+
+    ExportNamedDeclaration(path) {
+      const { declaration, specifiers } = path.node;
+      if (path.node.source) {
+        const source = resolve(path.node.source.value);
+        specifiers.forEach((spec) => {
+          reExports.push({
+            exported: getExportedName(spec.exported),
+            imported: t.isExportNamespaceSpecifier(spec)
+              ? '*'
+              : getExportedName(spec.local),
+            source,
+          });
+        });
+      } else if (declaration) {
+        const ids = t.isVariableDeclaration(declaration)
+          ? declaration.declarations.map((declarator) => declarator.id)
+          : [declaration.id];
+        ids.forEach((id) => {
+          if (t.isIdentifier(id)) {
+            exports[id.name] = id.name;
+          }
+        });
+      } else {
+        specifiers.forEach((spec) => {
+          exports[getExportedName(spec.exported)] = spec.local.name;
+        });
+      }
+    },
+
+    ExportDefaultDeclaration(path) {
+      const { declaration } = path.node;
+      // `export default memo(Button)` exports Button too
+      const exported = t.isCallExpression(declaration)
+        ? declaration.arguments[0]
+        : declaration;
+      if (t.isIdentifier(exported)) {
+        exports.default = exported.name;
+      } else if (exported && exported.id) {
+        exports.default = exported.id.name;
+      }
+    },
+
+    ExportAllDeclaration(path) {
+      const source = resolve(path.node.source.value);
+      if (source) {
+        exportAll.push(source);
+      }
+    },
+
+    FunctionDeclaration(path) {
+      if (isReactComponent(path)) {
+        addComponent(path, path.node.id.name);
+      }
+    },
+
+    VariableDeclarator(path) {
+      if (
+        t.isArrowFunctionExpression(path.node.init) &&
+        path.node.id &&
+        isReactComponent(path)
+      ) {
+        addComponent(path, path.node.id.name);
+      }
+    },
+  });
+
+  return { components, rendered, imports, exports, reExports, exportAll };
 }
 
 function isReactComponent(path) {
@@ -340,135 +575,143 @@ function isReactComponent(path) {
   return hasJSXReturn;
 }
 
-function processFileWithSelectedComponents(filePath, selectedComponents) {
-  if (!shouldProcessFile(filePath)) return;
-
-  const content = fs.readFileSync(filePath, 'utf-8');
+// Wraps the JSX returned by the selected components in a <Profiler> in an
+// already parsed file. `selectedComponents` is a list of names, or true for
+// every component. Used by instrumentFile and by the Babel plugin. `target`,
+// from createTargetMatcher, further limits it to some components or lines.
+// Returns the number of components wrapped and of components an earlier run
+// already wrapped, which are left alone.
+function instrumentProfiler(
+  programPath,
+  selectedComponents,
+  runtimeModule,
+  target = null,
+) {
+  const isSelected = (name) =>
+    selectedComponents === true || selectedComponents.includes(name);
+  let wrappedComponents = 0;
+  let alreadyWrapped = 0;
+  let hasProfilerImport = false;
+
+  const wrapComponent = (path) => {
+    if (target && !target.matches(path, path.node)) {
+      return;
+    }
+    const { wrapped, profiled } = wrapReturnWithProfiler(path);
+    if (wrapped > 0) {
+      wrappedComponents++;
+    } else if (profiled > 0) {
+      alreadyWrapped++;
+    }
+  };
+
+  programPath.traverse({
+    ImportDeclaration(path) {
+      if (path.node.source.value === 'react') {
+        const hasProfiler = path.node.specifiers.some(
+          (spec) =>
+            t.isImportSpecifier(spec) && spec.imported.name === 'Profiler',
+        );
+        if (hasProfiler) {
+          hasProfilerImport = true;
+        }
+      }
+    },
 
-  try {
-    const ast = parser.parse(content, {
-      sourceType: 'module',
-      plugins: ['jsx', 'typescript'],
-    });
+    FunctionDeclaration(path) {
+      if (isReactComponent(path) && isSelected(path.node.id.name)) {
+        wrapComponent(path);
+      }
+    },
 
-    let modified = false;
-    let hasProfilerImport = false;
-    let needsProfilerCallback = false;
-
-    traverse(ast, {
-      ImportDeclaration(path) {
-        if (path.node.source.value === 'react') {
-          const hasProfiler = path.node.specifiers.some(
-            (spec) =>
-              t.isImportSpecifier(spec) && spec.imported.name === 'Profiler',
-          );
-          if (hasProfiler) {
-            hasProfilerImport = true;
-          }
-        }
-      },
+    VariableDeclarator(path) {
+      if (
+        t.isArrowFunctionExpression(path.node.init) &&
+        t.isIdentifier(path.node.id) &&
+        isSelected(path.node.id.name) &&
+        isReactComponent(path)
+      ) {
+        wrapComponent(path.get('init'));
+      }
+    },
+  });
 
-      Program: {
-        exit(path) {
-          if (!hasProfilerImport && needsProfilerCallback) {
-            const importDeclaration = t.importDeclaration(
-              [
-                t.importSpecifier(
-                  t.identifier('Profiler'),
-                  t.identifier('Profiler'),
-                ),
-              ],
-              t.stringLiteral('react'),
-            );
-            path.node.body.unshift(importDeclaration);
-
-            const callbackFunction = t.functionDeclaration(
-              t.identifier('onRenderCallback'),
-              [
-                t.identifier('id'),
-                t.identifier('phase'),
-                t.identifier('actualDuration'),
-                t.identifier('baseDuration'),
-                t.identifier('startTime'),
-                t.identifier('commitTime'),
-                t.identifier('interactions'),
-              ],
-              t.blockStatement([
-                t.expressionStatement(
-                  t.callExpression(
-                    t.memberExpression(
-                      t.identifier('console'),
-                      t.identifier('log'),
-                    ),
-                    [
-                      t.templateLiteral(
-                        [
-                          t.templateElement({ raw: 'Profiler [' }),
-                          t.templateElement({ raw: '] Phase: ' }),
-                          t.templateElement({ raw: ', Actual Duration: ' }),
-                          t.templateElement({ raw: 'ms' }, true),
-                        ],
-                        [
-                          t.identifier('id'),
-                          t.identifier('phase'),
-                          t.identifier('actualDuration'),
-                        ],
-                      ),
-                    ],
-                  ),
-                ),
-              ]),
-            );
-            path.node.body.splice(1, 0, callbackFunction);
-            modified = true;
-          }
-        },
-      },
+  if (wrappedComponents === 0) {
+    return { wrappedComponents, alreadyWrapped };
+  }
 
-      FunctionDeclaration(path) {
-        if (
-          isReactComponent(path) &&
-          selectedComponents.includes(path.node.id.name)
-        ) {
-          wrapReturnWithProfiler(path);
-          needsProfilerCallback = true;
-          modified = true;
-        }
-      },
+  addRuntimeImport(programPath, ['onRenderCallback'], runtimeModule);
+  if (!hasProfilerImport) {
+    const importDeclaration = t.importDeclaration(
+      [t.importSpecifier(t.identifier('Profiler'), t.identifier('Profiler'))],
+      t.stringLiteral('react'),
+    );
+    programPath.node.body.unshift(markNode(importDeclaration));
+  }
+  return { wrappedComponents, alreadyWrapped };
+}
 
-      VariableDeclarator(path) {
-        if (
-          t.isArrowFunctionExpression(path.node.init) &&
-          path.node.id &&
-          selectedComponents.includes(path.node.id.name) &&
-          isReactComponent(path)
-        ) {
-          wrapReturnWithProfiler(path.get('init'));
-          needsProfilerCallback = true;
-          modified = true;
-        }
-      },
-    });
+// The names of `selectedComponents` to wrap in one file. Plain names match
+// in every file, ids of getComponentId only in their own.
+function getSelectedNames(selectedComponents, filePath) {
+  if (selectedComponents === true) {
+    return true;
+  }
+  const fileId = getComponentId(filePath, '');
+  return selectedComponents
+    .filter(
+      (selected) => !selected.includes('#') || selected.startsWith(fileId),
+    )
+    .map((selected) => selected.slice(selected.indexOf('#') + 1));
+}
 
-    if (modified) {
-      const output = generate(
-        ast,
-        {
-          retainLines: true,
-          retainFunctionParens: true,
-        },
-        content,
+// Wraps the selected components of one file without writing it. Returns
+// null when none of them is declared in the file, and `modified: null` when
+// all of them were wrapped before.
+function instrumentFile(filePath, selectedComponents, options = {}) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const ast = parseSource(content, getParserOptions(filePath));
+
+  let result;
+  traverse(ast, {
+    Program(programPath) {
+      result = instrumentProfiler(
+        programPath,
+        getSelectedNames(selectedComponents, filePath),
+        options.runtimeModule,
+        createTargetMatcher(options.target, filePath),
       );
+      programPath.stop();
+    },
+  });
 
-      fs.writeFileSync(filePath, output.code);
-      console.log(`✅ Modified: ${filePath}`);
-    }
-  } catch (error) {
-    console.error(`❌ Error processing ${filePath}:`, error);
+  const { wrappedComponents, alreadyWrapped } = result;
+  if (wrappedComponents === 0) {
+    return alreadyWrapped > 0
+      ? { content, modified: null, wrappedComponents, alreadyWrapped }
+      : null;
+  }
+
+  let modified;
+  if (options.sourceMap) {
+    const output = printWithSourceMap(
+      ast,
+      content,
+      getSourceMapOptions(filePath),
+    );
+    modified = withInlineSourceMap(output.code, output.map);
+  } else {
+    modified = printWithSource(ast, content);
   }
+  return { content, modified, wrappedComponents, alreadyWrapped };
 }
 
+// Returns how many returns were wrapped and how many were already wrapped
+// by an earlier run
 function wrapReturnWithProfiler(path) {
+  let wrapped = 0;
+  let profiled = 0;
+
   path.traverse({
     ReturnStatement(returnPath) {
       const arg = returnPath.node.argument;
@@ -478,13 +721,16 @@ function wrapReturnWithProfiler(path) {
       }
 
       if (t.isJSXElement(arg) && arg.openingElement.name.name === 'Profiler') {
+        if (isMarked(arg)) {
+          profiled++;
+        }
         return;
       }
 
       const componentName =
         path.node.id?.name || path.parent?.id?.name || 'UnknownComponent';
 
-      const wrapped = t.jsxElement(
+      const wrapper = t.jsxElement(
         t.jsxOpeningElement(
           t.jsxIdentifier('Profiler'),
           [
@@ -503,69 +749,107 @@ function wrapReturnWithProfiler(path) {
         [arg],
       );
 
-      returnPath.node.argument = wrapped;
+      returnPath.node.argument = markNode(wrapper);
+      wrapped++;
     },
   });
-}
 
-function processDirectory(dirPath, selectedComponents) {
-  const files = fs.readdirSync(dirPath);
-  files.forEach((file) => {
-    const filePath = path.join(dirPath, file);
-    const stats = fs.statSync(filePath);
-    if (stats.isDirectory()) {
-      if (file !== 'node_modules' && file !== 'build' && file !== 'dist') {
-        processDirectory(filePath, selectedComponents);
-      }
-    } else if (shouldProcessFile(filePath)) {
-      processFileWithSelectedComponents(filePath, selectedComponents);
-    }
-  });
+  return { wrapped, profiled };
 }
 
-async function main() {
-  if (process.argv.length < 3) {
-    console.log('Please provide the React project directory path');
-    process.exit(1);
-  }
+// `debugeffects profile`: shows the component hierarchy and wraps the
+// components picked in the prompt, or given with `components`, `all` or
+// `target`
+async function run(files, options) {
+  const failures = [];
+  let total = 0;
+  let alreadyWrapped = 0;
 
-  const projectPath = process.argv[2];
-  console.log('🔍 Analyzing React component hierarchy...');
+  const runner = options.runner || createTaskRunner();
 
+  logger.info('🔍 Analyzing React component hierarchy...');
   const analyzer = new ComponentAnalyzer();
+  await runFileTasks(
+    runner,
+    'profile-scan',
+    files,
+    [],
+    (filePath, scan) => analyzer.addFileComponents(filePath, scan),
+    failures,
+  );
 
-  function scanDirectory(dirPath) {
-    const files = fs.readdirSync(dirPath);
-    files.forEach((file) => {
-      const filePath = path.join(dirPath, file);
-      const stats = fs.statSync(filePath);
-      if (stats.isDirectory()) {
-        if (file !== 'node_modules' && file !== 'build' && file !== 'dist') {
-          scanDirectory(filePath);
-        }
-      } else if (shouldProcessFile(filePath)) {
-        analyzer.analyzeFile(filePath);
-      }
-    });
+  let selectedComponents;
+  // A target such as --component already says which components to wrap
+  if (options.all || (options.target && !options.components)) {
+    selectedComponents = Array.from(analyzer.components.keys());
+  } else if (options.components) {
+    selectedComponents = options.components;
+  } else {
+    analyzer.printHierarchy();
+    selectedComponents = await analyzer.selectComponentsToProfile();
   }
 
-  scanDirectory(projectPath);
-  analyzer.printHierarchy();
-
-  const selectedComponents = await analyzer.selectComponentsToProfile();
-
   if (selectedComponents.length === 0) {
-    console.log('No components selected. Exiting...');
-    return;
+    logger.info('No components selected. Exiting...');
+    return { failures, total };
   }
 
-  console.log(
+  logger.info(
     `\n🎯 Adding Profiler to selected components: ${selectedComponents.join(
       ', ',
     )}\n`,
   );
-  processDirectory(projectPath, selectedComponents);
-  console.log('\n✨ Finished processing files');
+  await runFileTasks(
+    runner,
+    'profile',
+    files,
+    [
+      selectedComponents,
+      {
+        runtimeModule: options.runtime,
+        sourceMap: options.sourceMap,
+        target: options.target,
+      },
+    ],
+    (filePath, fileResult) => {
+      const { content, modified, wrappedComponents } = fileResult;
+      alreadyWrapped += fileResult.alreadyWrapped;
+      if (!modified) {
+        return;
+      }
+      options.writer.write(
+        filePath,
+        content,
+        modified,
+        { components: wrappedComponents },
+        `✅ Modified: ${filePath}`,
+      );
+      total += wrappedComponents;
+    },
+    failures,
+  );
+  logger.info('\n✨ Finished processing files');
+  if (alreadyWrapped > 0) {
+    logger.info(`Components already wrapped: ${alreadyWrapped}`);
+  }
+
+  return { failures, total, alreadyWrapped };
 }
 
-main().catch(console.error);
+module.exports = {
+  ComponentAnalyzer,
+  instrumentProfiler,
+  scanComponents,
+  instrumentFile,
+  run,
+};
+
+// `node performanceMonitoring.js <path>` is kept as a shortcut for
+// `debugeffects profile`
+if (require.main === module) {
+  require('./cli')
+    .main(['profile', ...process.argv.slice(2)])
+    .then((code) => {
+      process.exitCode = code;
+    });
+}
@@ -0,0 +1,55 @@
+const { HOOK_KINDS, LOOP_DEFAULTS } = require('./codeTransformer');
+
+// Options of the Babel plugin, the webpack loader and the Vite plugin. The
+// names follow the flags of the CLI: `hooks`, `loopThreshold`,
+// `loopWindow`, `stopOnLoop`, `logPrefix` and `runtime`.
+function getPluginOptions(options = {}) {
+  const hooks =
+    typeof options.hooks === 'string'
+      ? options.hooks.split(',').filter(Boolean)
+      : options.hooks || Object.keys(HOOK_KINDS);
+
+  const unknownHooks = hooks.filter((hook) => !HOOK_KINDS[hook]);
+  if (unknownHooks.length > 0) {
+    throw new Error(`Unknown hook kind: ${unknownHooks.join(', ')}`);
+  }
+
+  return {
+    effects: options.effects !== false,
+    hooks,
+    loop: {
+      loopThreshold:
+        Number(options.loopThreshold) || LOOP_DEFAULTS.loopThreshold,
+      loopWindow: Number(options.loopWindow) || LOOP_DEFAULTS.loopWindow,
+      stopOnLoop: Boolean(options.stopOnLoop),
+    },
+    logPrefix: options.logPrefix,
+    // useStateLogger.js
+    state: Boolean(options.state),
+    // functionLogger.js, by name or by category (handlers, hooks, utils)
+    functions: options.functions || [],
+    functionCategories: options.functionCategories || [],
+    // performanceMonitoring.js, component names or true for all of them
+    profile: options.profile || false,
+    runtimeModule: options.runtime,
+    rootDir: options.rootDir,
+  };
+}
+
+// Instrumentation is opt-in: `enabled` in the options wins, otherwise it is
+// turned on with DEBUGEFFECTS=1 for anything but production builds
+function isInstrumentationEnabled(options = {}) {
+  if (options.enabled !== undefined) {
+    return Boolean(options.enabled);
+  }
+  const flag = process.env.DEBUGEFFECTS;
+  if (!flag || flag === '0' || flag === 'false') {
+    return false;
+  }
+  return process.env.NODE_ENV !== 'production';
+}
+
+module.exports = {
+  getPluginOptions,
+  isInstrumentationEnabled,
+};
@@ -0,0 +1,390 @@
+// Imported by instrumented code. The helpers below turn hook calls, state
+// updates, function calls and renders into events and hand them to the
+// registered sinks, so logs can be reformatted or routed elsewhere without
+// running the codemods again.
+
+const EVENT_TYPES = [
+  'effect-run',
+  'effect-deps',
+  'effect-cleanup',
+  'effect-loop',
+  'state-set',
+  'function-call',
+  'render',
+];
+
+// Defaults for the infinite-loop detector, see configure()
+const LOOP_DEFAULTS = {
+  loopThreshold: 20,
+  loopWindow: 1000,
+  stopOnLoop: false,
+};
+
+const settings = { ...LOOP_DEFAULTS };
+
+// Console lines for each event type, as arguments to console.log
+const CONSOLE_FORMATS = {
+  'effect-run': (event) => [
+    `${event.tag} ${event.instance} ${event.location} - Call count:`,
+    event.count,
+    `(all instances: ${event.total})`,
+  ],
+  'effect-deps': (event) =>
+    event.change === 'initial'
+      ? [
+          `${event.tag} ${event.instance} Initial run, dependencies:`,
+          event.deps,
+        ]
+      : [
+          `${event.tag} ${event.instance} Dependency changed: ${event.name} (${
+            event.change === 'reference'
+              ? 'reference only, value is equal'
+              : 'value changed'
+          })`,
+          event.previous,
+          '->',
+          event.current,
+        ],
+  'effect-cleanup': (event) => [
+    `${event.tag} ${event.instance} Cleanup ran (${event.reason}) after ${event.activeFor}ms active`,
+  ],
+  'effect-loop': (event) => [
+    `!!! POSSIBLE INFINITE LOOP !!! ${event.tag} ${event.instance} ${
+      event.location
+    } ran ${event.runs} times in ${
+      event.window
+    }ms. Dependencies changed on the last runs:\n${
+      event.history.length > 0
+        ? event.history
+            .map(
+              (changed, run) =>
+                `  run ${run + 1}: ${
+                  changed.length > 0
+                    ? changed.join(', ')
+                    : 'no dependency changed'
+                }`,
+            )
+            .join('\n')
+        : '  (no dependency array, runs after every render)'
+    }${event.muted ? '\nFurther logs are muted.' : ''}`,
+  ],
+  'state-set': (event) => [
+    `[${event.component}] ${event.state} updated to:`,
+    event.value,
+  ],
+  'function-call': (event) => [`[${event.parent}] Called: ${event.name}`],
+  render: (event) => [
+    `Profiler [${event.id}] Phase: ${event.phase}, Actual Duration: ${event.actualDuration}ms`,
+  ],
+};
+
+function formatEvent(event) {
+  const format = CONSOLE_FORMATS[event.type];
+  return format ? format(event) : [event];
+}
+
+// Logs every event, loop reports as errors. `format` returns the arguments
+// for one console call.
+function createConsoleSink({ format = formatEvent, target = console } = {}) {
+  return {
+    report(event) {
+      const args = format(event);
+      if (event.type === 'effect-loop') {
+        target.error(...args);
+      } else {
+        target.log(...args);
+      }
+    },
+  };
+}
+
+// Keeps the last `limit` events in memory, e.g. for tests or a debug panel
+function createBufferSink({ limit = 1000 } = {}) {
+  return {
+    events: [],
+    report(event) {
+      this.events.push(event);
+      if (this.events.length > limit) {
+        this.events.splice(0, this.events.length - limit);
+      }
+    },
+    clear() {
+      this.events.length = 0;
+    },
+  };
+}
+
+// A sink is an object with a report(event) method or a plain function
+function toSink(sink) {
+  return typeof sink === 'function' ? { report: sink } : sink;
+}
+
+let sinks = [createConsoleSink()];
+
+function setSinks(nextSinks) {
+  sinks = nextSinks.map(toSink);
+}
+
+// Returns a function that removes the sink again
+function addSink(sink) {
+  const added = toSink(sink);
+  sinks.push(added);
+  return () => {
+    sinks = sinks.filter((current) => current !== added);
+  };
+}
+
+function configure(options = {}) {
+  Object.keys(LOOP_DEFAULTS).forEach((key) => {
+    if (options[key] !== undefined) {
+      settings[key] = options[key];
+    }
+  });
+  if (options.sinks) {
+    setSinks(options.sinks);
+  }
+}
+
+function emit(type, payload) {
+  const event = { type, time: Date.now(), ...payload };
+  sinks.forEach((sink) => {
+    try {
+      sink.report(event);
+    } catch (error) {
+      // A broken reporter must not break the instrumented app
+    }
+  });
+  return event;
+}
+
+const instanceCounts = {};
+const hookTotals = {};
+
+// Gives every mounted instance of a component a stable id such as
+// `TodoItem#3`. `options` overrides the loop settings for this component.
+function useDebugEffectsInstance(name, options) {
+  // Required lazily so the helpers that do not need React work without it
+  const ref = require('react').useRef(null);
+  if (!ref.current) {
+    instanceCounts[name] = (instanceCounts[name] || 0) + 1;
+    ref.current = {
+      id: `${name}#${instanceCounts[name]}`,
+      component: name,
+      options: options || null,
+      calls: {},
+      prevDeps: {},
+      runs: {},
+      changes: {},
+      loops: {},
+      muted: {},
+    };
+  }
+  return ref.current;
+}
+
+function getSetting(instance, key) {
+  return instance.options && instance.options[key] !== undefined
+    ? instance.options[key]
+    : settings[key];
+}
+
+// Counts the call for this instance and across all instances of the
+// component, and reports a hook that fires more often than the loop
+// threshold within the loop window as a likely infinite loop.
+function logHookCall(instance, index, tag, location) {
+  hookTotals[tag] = (hookTotals[tag] || 0) + 1;
+  instance.calls[index] = (instance.calls[index] || 0) + 1;
+
+  const loopWindow = getSetting(instance, 'loopWindow');
+  const now = Date.now();
+  const runs = (instance.runs[index] || []).filter(
+    (time) => now - time < loopWindow,
+  );
+  runs.push(now);
+  instance.runs[index] = runs;
+
+  if (
+    runs.length >= getSetting(instance, 'loopThreshold') &&
+    !instance.loops[index]
+  ) {
+    instance.loops[index] = true;
+    instance.muted[index] = Boolean(getSetting(instance, 'stopOnLoop'));
+    emit('effect-loop', {
+      tag,
+      instance: instance.id,
+      component: instance.component,
+      location,
+      runs: runs.length,
+      window: loopWindow,
+      history: (instance.changes[index] || []).slice(),
+      muted: instance.muted[index],
+    });
+  }
+
+  if (instance.muted[index]) return;
+  emit('effect-run', {
+    tag,
+    instance: instance.id,
+    component: instance.component,
+    location,
+    count: instance.calls[index],
+    total: hookTotals[tag],
+  });
+}
+
+// Compares the deps of the current run with the previous run and reports
+// only the entries that changed. The names of the changed deps are kept for
+// the last few runs for the loop report.
+function logEffectDependencyChanges(instance, index, tag, names, deps) {
+  const prevDeps = instance.prevDeps[index];
+  const muted = instance.muted[index];
+  const changed = [];
+  const base = { tag, instance: instance.id, component: instance.component };
+  instance.prevDeps[index] = deps;
+
+  if (!prevDeps) {
+    changed.push('initial run');
+    if (!muted) {
+      emit('effect-deps', { ...base, change: 'initial', deps });
+    }
+  } else {
+    const length = Math.max(prevDeps.length, deps.length);
+    for (let dep = 0; dep < length; dep++) {
+      const previous = prevDeps[dep];
+      const current = deps[dep];
+      if (Object.is(previous, current)) continue;
+
+      let sameValue = false;
+      try {
+        sameValue = JSON.stringify(previous) === JSON.stringify(current);
+      } catch (error) {}
+
+      const name = names[dep] || `deps[${dep}]`;
+      changed.push(name);
+      if (!muted) {
+        emit('effect-deps', {
+          ...base,
+          name,
+          change: sameValue ? 'reference' : 'value',
+          previous,
+          current,
+        });
+      }
+    }
+  }
+
+  const history = instance.changes[index] || (instance.changes[index] = []);
+  history.push(changed);
+  if (history.length > 5) history.shift();
+}
+
+// Wraps the cleanup returned by an effect so it reports why it ran and how
+// long the effect was active before it.
+function trackEffectCleanup(instance, index, tag, cleanup) {
+  if (typeof cleanup !== 'function') return cleanup;
+
+  const startedAt = Date.now();
+  return function () {
+    const runCount = instance.calls[index];
+    const activeFor = Date.now() - startedAt;
+    const result = cleanup.apply(this, arguments);
+
+    // React runs the next effect right after the cleanup when deps changed,
+    // so a call count that moved on by then means this was not an unmount
+    Promise.resolve().then(() => {
+      if (instance.muted[index]) return;
+      emit('effect-cleanup', {
+        tag,
+        instance: instance.id,
+        component: instance.component,
+        reason: instance.calls[index] > runCount ? 'deps changed' : 'unmount',
+        activeFor,
+      });
+    });
+    return result;
+  };
+}
+
+// useCallback never calls its callback when the deps change, so the
+// instrumentation runs at the call site whenever React would create a new
+// callback instead.
+function trackCallbackRecompute(instance, index, deps, onRecompute, callback) {
+  const prevDeps = instance.prevDeps[index];
+  const changed =
+    !prevDeps ||
+    !deps ||
+    prevDeps.length !== deps.length ||
+    deps.some((dep, position) => !Object.is(dep, prevDeps[position]));
+  if (changed) onRecompute();
+  return callback;
+}
+
+// Callbacks passed by reference, such as `useEffect(syncToServer, [id])`,
+// are wrapped at the call site so they get the same events as inline ones.
+function wrapHookCallback(
+  instance,
+  index,
+  tag,
+  location,
+  names,
+  deps,
+  tracksCleanup,
+  callback,
+) {
+  return function () {
+    if (deps) logEffectDependencyChanges(instance, index, tag, names, deps);
+    logHookCall(instance, index, tag, location);
+    const result = callback.apply(this, arguments);
+    return tracksCleanup
+      ? trackEffectCleanup(instance, index, tag, result)
+      : result;
+  };
+}
+
+function logStateSet(component, state, value) {
+  emit('state-set', { component, state, value });
+}
+
+function logFunctionCall(parent, name) {
+  emit('function-call', { parent, name });
+}
+
+// Passed as `onRender` to the injected <Profiler> elements
+function onRenderCallback(
+  id,
+  phase,
+  actualDuration,
+  baseDuration,
+  startTime,
+  commitTime,
+) {
+  emit('render', {
+    id,
+    phase,
+    actualDuration,
+    baseDuration,
+    startTime,
+    commitTime,
+  });
+}
+
+module.exports = {
+  EVENT_TYPES,
+  LOOP_DEFAULTS,
+  configure,
+  setSinks,
+  addSink,
+  emit,
+  formatEvent,
+  createConsoleSink,
+  createBufferSink,
+  useDebugEffectsInstance,
+  logHookCall,
+  logEffectDependencyChanges,
+  trackEffectCleanup,
+  trackCallbackRecompute,
+  wrapHookCallback,
+  logStateSet,
+  logFunctionCall,
+  onRenderCallback,
+};
@@ -0,0 +1,49 @@
+const t = require('@babel/types');
+const { markNode, isMarked } = require('./instrumentationMarker');
+
+// Instrumented code imports its helpers from here, see runtime.js
+const RUNTIME_MODULE = 'debugeffects/runtime';
+
+// `import { logHookCall, ... } from 'debugeffects/runtime'`, marked so
+// --remove drops it together with the calls
+function createRuntimeImport(names, source = RUNTIME_MODULE) {
+  return markNode(
+    t.importDeclaration(
+      names.map((name) =>
+        t.importSpecifier(t.identifier(name), t.identifier(name)),
+      ),
+      t.stringLiteral(source),
+    ),
+  );
+}
+
+// Adds the import to the top of the file. A marked import of the same module
+// left by an earlier run or another tool gets the missing names instead, so
+// no helper is imported twice.
+function addRuntimeImport(programPath, names, source = RUNTIME_MODULE) {
+  const existing = programPath.node.body.find(
+    (node) =>
+      isMarked(node) &&
+      t.isImportDeclaration(node) &&
+      node.source.value === source,
+  );
+  if (!existing) {
+    programPath.node.body.unshift(createRuntimeImport(names, source));
+    return;
+  }
+
+  const imported = existing.specifiers.map((specifier) => specifier.local.name);
+  names
+    .filter((name) => !imported.includes(name))
+    .forEach((name) => {
+      existing.specifiers.push(
+        t.importSpecifier(t.identifier(name), t.identifier(name)),
+      );
+    });
+}
+
+module.exports = {
+  RUNTIME_MODULE,
+  createRuntimeImport,
+  addRuntimeImport,
+};
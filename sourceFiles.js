@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const picomatch = require('picomatch');
+const ignore = require('ignore');
+const logger = require('./logger');
+
+const DEFAULT_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+// Dependencies and generated output. Hidden directories are skipped too.
+const SKIPPED_DIRECTORIES = new Set([
+  'node_modules',
+  'build',
+  'dist',
+  '.next',
+  'coverage',
+]);
+const IGNORE_FILES = ['.gitignore', '.ignore'];
+
+// Globs are matched against the path relative to the working directory,
+// e.g. `--include 'src/**' --exclude '**/*.test.*'`
+function createPathFilter({ include, exclude, extensions } = {}) {
+  const allowedExtensions = extensions || DEFAULT_EXTENSIONS;
+  const isIncluded =
+    include && include.length > 0
+      ? picomatch(include, { dot: true })
+      : () => true;
+  const isExcluded =
+    exclude && exclude.length > 0
+      ? picomatch(exclude, { dot: true })
+      : () => false;
+
+  return (filePath) => {
+    const relativePath = toPosixPath(
+      path.relative(process.cwd(), path.resolve(filePath)),
+    );
+    return (
+      allowedExtensions.some((extension) => filePath.endsWith(extension)) &&
+      isIncluded(relativePath) &&
+      !isExcluded(relativePath)
+    );
+  };
+}
+
+function isSkippedDirectory(name) {
+  return name.startsWith('.') || SKIPPED_DIRECTORIES.has(name);
+}
+
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+// Rules of the .gitignore and .ignore files of one directory, or null.
+// Files that cannot be read are passed to `fail`.
+function readIgnoreRules(dirPath, fail) {
+  const rules = ignore();
+  let found = false;
+
+  IGNORE_FILES.forEach((name) => {
+    const filePath = path.join(dirPath, name);
+    if (!fs.existsSync(filePath)) return;
+    try {
+      rules.add(fs.readFileSync(filePath, 'utf-8'));
+      found = true;
+    } catch (error) {
+      fail(filePath, error);
+    }
+  });
+
+  return found ? { dirPath, rules } : null;
+}
+
+// The ignore files of the directories between the repository root and the
+// walked directory apply as well, as they do for git
+function readParentIgnoreRules(dirPath, fail) {
+  const parents = [];
+  let dir = path.dirname(path.resolve(dirPath));
+  while (true) {
+    parents.unshift(dir);
+    if (fs.existsSync(path.join(dir, '.git'))) break;
+    const parent = path.dirname(dir);
+    if (parent === dir) return [];
+    dir = parent;
+  }
+  return parents
+    .map((parentPath) => readIgnoreRules(parentPath, fail))
+    .filter(Boolean);
+}
+
+function isIgnored(ignoreRules, fullPath, isDirectory) {
+  return ignoreRules.some(({ dirPath, rules }) => {
+    const relativePath = toPosixPath(
+      path.relative(dirPath, path.resolve(fullPath)),
+    );
+    return rules.ignores(isDirectory ? `${relativePath}/` : relativePath);
+  });
+}
+
+// Files named on the command line are always used, directories are walked
+// for the files the include and exclude globs select. Entries that cannot
+// be read are reported and added to `filters.failures`, symlinks are
+// followed once. With `filters.silent` nothing is printed, the problems
+// only go to `filters.failures` and `filters.warnings`.
+function listSourceFiles(targetPaths, filters = {}) {
+  const matches = createPathFilter(filters);
+  const files = [];
+  const walked = new Set();
+  const { failures, warnings = [], silent } = filters;
+  const fail = (entryPath, error) =>
+    silent
+      ? logger.collectFailure(entryPath, error, failures)
+      : logger.reportFailure(entryPath, error, failures);
+
+  // `ancestors` are the real paths of the directories above, a symlink back
+  // to one of them would loop forever
+  const walk = (dirPath, ignoreRules, ancestors) => {
+    let realPath;
+    let entries;
+    try {
+      realPath = fs.realpathSync(dirPath);
+      if (ancestors.includes(realPath)) {
+        const warning = `Skipping symlink cycle: ${dirPath} -> ${realPath}`;
+        if (silent) {
+          warnings.push(warning);
+        } else {
+          logger.warn(warning);
+        }
+        return;
+      }
+      if (walked.has(realPath)) {
+        if (!silent) {
+          logger.verbose(`Skipping ${dirPath}: ${realPath} is already walked`);
+        }
+        return;
+      }
+      walked.add(realPath);
+      entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    } catch (error) {
+      fail(dirPath, error);
+      return;
+    }
+
+    const dirRules = readIgnoreRules(dirPath, fail);
+    const rules = dirRules ? [...ignoreRules, dirRules] : ignoreRules;
+
+    entries.forEach((entry) => {
+      const fullPath = path.join(dirPath, entry.name);
+      let isDirectory = entry.isDirectory();
+      let isFile = entry.isFile();
+
+      if (entry.isSymbolicLink()) {
+        try {
+          const stats = fs.statSync(fullPath);
+          isDirectory = stats.isDirectory();
+          isFile = stats.isFile();
+        } catch (error) {
+          fail(fullPath, error);
+          return;
+        }
+      }
+
+      if (isIgnored(rules, fullPath, isDirectory)) return;
+
+      if (isDirectory) {
+        if (!isSkippedDirectory(entry.name)) {
+          walk(fullPath, rules, [...ancestors, realPath]);
+        }
+      } else if (isFile && matches(fullPath)) {
+        files.push(fullPath);
+      }
+    });
+  };
+
+  targetPaths.forEach((targetPath) => {
+    if (fs.statSync(targetPath).isDirectory()) {
+      walk(targetPath, readParentIgnoreRules(targetPath, fail), []);
+    } else {
+      files.push(targetPath);
+    }
+  });
+
+  return [...new Set(files)].sort();
+}
+
+module.exports = {
+  createPathFilter,
+  isSkippedDirectory,
+  listSourceFiles,
+};
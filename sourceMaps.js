@@ -0,0 +1,35 @@
+const path = require('path');
+
+const INLINE_MAP_PREFIX =
+  '//# sourceMappingURL=data:application/json;charset=utf-8;base64,';
+
+// Options of printWithSourceMap for a map back to the original file. The
+// file is rewritten in place, so the map only needs the file name.
+function getSourceMapOptions(filePath) {
+  return {
+    sourceMaps: true,
+    sourceFileName: path.basename(filePath),
+  };
+}
+
+// In-place mode keeps the map inside the instrumented file itself
+function withInlineSourceMap(code, map) {
+  const encoded = Buffer.from(JSON.stringify(map)).toString('base64');
+  return `${stripInlineSourceMap(code)}\n${INLINE_MAP_PREFIX}${encoded}\n`;
+}
+
+// Drops the map added by withInlineSourceMap, e.g. before removing the
+// instrumentation or instrumenting the file again
+function stripInlineSourceMap(code) {
+  const start = code.lastIndexOf(INLINE_MAP_PREFIX);
+  if (start === -1 || code.slice(start).trim().includes('\n')) {
+    return code;
+  }
+  return code.slice(0, start).replace(/\n$/, '');
+}
+
+module.exports = {
+  getSourceMapOptions,
+  withInlineSourceMap,
+  stripInlineSourceMap,
+};
@@ -0,0 +1,432 @@
+const generate = require('@babel/generator').default;
+const t = require('@babel/types');
+const {
+  GenMapping,
+  maybeAddMapping,
+  setSourceContent,
+  toEncodedMap,
+} = require('@jridgewell/gen-mapping');
+const { MARKER } = require('./instrumentationMarker');
+
+// Lists whose items are separated by whitespace instead of commas
+const STATEMENT_LISTS = ['body', 'consequent'];
+
+// Nodes parsed from the file have a position. Nodes added by the tools,
+// including clones of parsed nodes, have none.
+function isOriginal(node) {
+  return typeof node.start === 'number';
+}
+
+// The child nodes of `node` in the order of its visitor keys, with the
+// list they belong to
+function getChildren(node) {
+  const children = [];
+  (t.VISITOR_KEYS[node.type] || []).forEach((key) => {
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach((child) => {
+        if (child) children.push({ node: child, list: value, key });
+      });
+    } else if (value && typeof value.type === 'string') {
+      children.push({ node: value, list: null, key });
+    }
+  });
+  return children;
+}
+
+// Position just past the `)` closing a parenthesized expression that ends
+// at `end`, skipping whitespace and comments
+function findClosingParen(source, end) {
+  let i = end;
+  while (i < source.length) {
+    if (/\s/.test(source[i])) {
+      i++;
+    } else if (source.startsWith('/*', i)) {
+      i = source.indexOf('*/', i + 2) + 2;
+      if (i === 1) return -1;
+    } else if (source.startsWith('//', i)) {
+      i = source.indexOf('\n', i);
+      if (i === -1) return -1;
+    } else {
+      return source[i] === ')' ? i + 1 : -1;
+    }
+  }
+  return -1;
+}
+
+// Source range of an expression including its parentheses
+function getParenthesizedRange(source, node) {
+  if (node.extra && node.extra.parenthesized) {
+    const end = findClosingParen(source, node.end);
+    if (end !== -1) {
+      return { start: node.extra.parenStart, end };
+    }
+  }
+  return { start: node.start, end: node.end };
+}
+
+const MARKER_COMMENT = `/* ${MARKER} */`;
+
+// Printed code is a list of pieces: slices of the source, with the position
+// they were taken from, and text added by the tools, with a null `start`
+function added(text) {
+  return text ? [{ text, start: null }] : [];
+}
+
+function join(printed, separator = '') {
+  return printed.flatMap((pieces, index) =>
+    index === 0 ? pieces : [...added(separator), ...pieces],
+  );
+}
+
+function toText(pieces) {
+  return pieces.map(({ text }) => text).join('');
+}
+
+// Start of the marker comments earlier runs left right before `start`
+function findMarkersStart(source, start) {
+  let markersStart = start;
+  let i = start;
+  for (;;) {
+    while (i > 0 && /\s/.test(source[i - 1])) i--;
+    if (
+      i < MARKER_COMMENT.length ||
+      !source.startsWith(MARKER_COMMENT, i - MARKER_COMMENT.length)
+    ) {
+      return markersStart;
+    }
+    i -= MARKER_COMMENT.length;
+    markersStart = i;
+  }
+}
+
+class SourcePrinter {
+  constructor(source, generatorOptions) {
+    this.source = source;
+    this.generatorOptions = generatorOptions;
+    this.unchanged = new WeakMap();
+  }
+
+  slice(start, end) {
+    return start < end ? [{ text: this.source.slice(start, end), start }] : [];
+  }
+
+  isUnchanged(node) {
+    if (!this.unchanged.has(node)) {
+      this.unchanged.set(
+        node,
+        isOriginal(node) &&
+          getChildren(node).every((child) => this.isUnchanged(child.node)),
+      );
+    }
+    return this.unchanged.get(node);
+  }
+
+  // The source a parsed node takes along when an added node wraps it: its
+  // parentheses and the markers of earlier runs. JSX put inside added JSX
+  // leaves its parentheses behind, they are not valid around a JSX child.
+  getMovedRange(node, parent) {
+    const range = t.isJSX(parent)
+      ? { start: node.start, end: node.end }
+      : getParenthesizedRange(this.source, node);
+    return {
+      start: findMarkersStart(this.source, range.start),
+      end: range.end,
+    };
+  }
+
+  // Where an added node sits in the file: the span of the parsed nodes it
+  // wraps, e.g. the JSX inside an added <Profiler>. Null for nodes that
+  // wrap nothing.
+  getRange(node) {
+    if (isOriginal(node)) {
+      return { start: node.start, end: node.end };
+    }
+    let range = null;
+    const visit = (current) => {
+      getChildren(current).forEach(({ node: child }) => {
+        if (!isOriginal(child)) {
+          visit(child);
+          return;
+        }
+        const childRange = this.getMovedRange(child, current);
+        range = range
+          ? {
+              start: Math.min(range.start, childRange.start),
+              end: Math.max(range.end, childRange.end),
+            }
+          : childRange;
+      });
+    };
+    visit(node);
+    return range;
+  }
+
+  print(node) {
+    if (!isOriginal(node)) {
+      return this.printAdded(node);
+    }
+    if (this.isUnchanged(node)) {
+      return this.slice(node.start, node.end);
+    }
+    const printed = this.printBetween(node);
+    return printed === null ? this.printAdded(node) : printed;
+  }
+
+  // Keeps the source between the children of `node` and prints only the
+  // children. Returns null when the added children cannot be placed.
+  printBetween(node) {
+    const children = getChildren(node);
+    const placed = [];
+    const inserted = [];
+    for (const child of children) {
+      const range = this.getRange(child.node);
+      if (range) {
+        placed.push({ ...child, range });
+      } else if (child.list) {
+        inserted.push(child);
+      } else {
+        return null;
+      }
+    }
+
+    placed.sort(
+      (a, b) => a.range.start - b.range.start || b.range.end - a.range.end,
+    );
+    const kept = [];
+    let last = { start: node.start, end: node.start };
+    for (const child of placed) {
+      if (child.range.start >= last.end && child.range.end <= node.end) {
+        kept.push(child);
+        last = child.range;
+      } else if (
+        child.range.end <= last.end &&
+        isOriginal(child.node) &&
+        this.isUnchanged(child.node)
+      ) {
+        // Shorthand properties share the source of their key and value
+      } else if (child.list && !isOriginal(child.node)) {
+        // Added nodes that only reuse parsed nodes from elsewhere
+        inserted.push(child);
+      } else {
+        return null;
+      }
+    }
+
+    const before = new Map();
+    const after = new Map();
+    for (const child of inserted) {
+      const index = child.list.indexOf(child.node);
+      const anchorAfter = kept.find(
+        (other) =>
+          other.list === child.list && child.list.indexOf(other.node) > index,
+      );
+      const anchorBefore = [...kept]
+        .reverse()
+        .find(
+          (other) =>
+            other.list === child.list && child.list.indexOf(other.node) < index,
+        );
+      const separator = STATEMENT_LISTS.includes(child.key) ? ' ' : ', ';
+      const printed = this.print(child.node);
+      if (anchorAfter) {
+        const texts = before.get(anchorAfter) || [];
+        before.set(anchorAfter, [...texts, ...printed, ...added(separator)]);
+      } else if (anchorBefore) {
+        const texts = after.get(anchorBefore) || [];
+        after.set(anchorBefore, [...texts, ...added(separator), ...printed]);
+      } else if (t.isBlockStatement(node) || t.isProgram(node)) {
+        // Statements added to an empty block
+        const texts = after.get(node) || [];
+        after.set(node, [...texts, printed]);
+      } else {
+        return null;
+      }
+    }
+
+    const output = [];
+    let position = node.start;
+    if (t.isBlockStatement(node) && after.has(node)) {
+      output.push(
+        ...this.slice(position, node.start + 1),
+        ...join(after.get(node), ' '),
+      );
+      position = node.start + 1;
+    }
+    for (const child of kept) {
+      // Added statements go before the comments of the next one, which may
+      // be the marker of code added by an earlier run
+      const insertAt = Math.max(
+        position,
+        Math.min(
+          child.range.start,
+          ...(isOriginal(child.node) && child.node.leadingComments
+            ? child.node.leadingComments.map(({ start }) => start)
+            : []),
+        ),
+      );
+      output.push(
+        ...this.slice(position, insertAt),
+        ...(before.get(child) || []),
+        ...this.slice(insertAt, child.range.start),
+        ...this.printInSlot(child.node),
+        ...(after.get(child) || []),
+      );
+      position = child.range.end;
+    }
+    if (t.isProgram(node) && after.has(node)) {
+      output.push(...join(after.get(node), ' '));
+    }
+    output.push(...this.slice(position, node.end));
+    return output;
+  }
+
+  // Sequences added in place of an expression need parentheses, e.g. in
+  // arrow function bodies and arguments
+  printInSlot(node) {
+    const printed = this.print(node);
+    return !isOriginal(node) && t.isSequenceExpression(node)
+      ? [...added('('), ...printed, ...added(')')]
+      : printed;
+  }
+
+  // Prints an added node with the generator. The parsed nodes inside it keep
+  // their source text.
+  printAdded(node) {
+    const kept = [];
+    const copy = (current, parent) => {
+      if (parent && isOriginal(current)) {
+        kept.push({ node: current, parent });
+        // Statements get a placeholder of their own so the `;` printed
+        // after it can go too
+        return t.isStatement(current)
+          ? t.expressionStatement(
+              t.identifier(`__debugeffects_s${kept.length - 1}__`),
+            )
+          : t.identifier(`__debugeffects_e${kept.length - 1}__`);
+      }
+      const result = { ...current, start: null, end: null, loc: null };
+      if (isOriginal(current)) {
+        // Comments of the node itself are part of the surrounding source
+        result.leadingComments = null;
+        result.trailingComments = null;
+      }
+      getChildren(current).forEach(({ key }) => {
+        const value = current[key];
+        result[key] = Array.isArray(value)
+          ? value.map((child) => (child ? copy(child, current) : child))
+          : copy(value, current);
+      });
+      return result;
+    };
+
+    const { code } = generate(copy(node, null), {
+      ...this.generatorOptions,
+      retainLines: true,
+      retainFunctionParens: true,
+    });
+    const output = [];
+    const placeholder = /__debugeffects_(?:s(\d+)__;|e(\d+)__)/g;
+    let position = 0;
+    let match;
+    while ((match = placeholder.exec(code))) {
+      const [, statement, expression] = match;
+      const index = statement === undefined ? expression : statement;
+      const { node: original, parent } = kept[Number(index)];
+      const { start, end } = this.getMovedRange(original, parent);
+      output.push(
+        ...added(code.slice(position, match.index)),
+        ...this.slice(start, original.start),
+        ...this.print(original),
+        ...this.slice(original.end, end),
+      );
+      position = placeholder.lastIndex;
+    }
+    output.push(...added(code.slice(position)));
+    return output;
+  }
+}
+
+function printPieces(ast, source, generatorOptions) {
+  const printer = new SourcePrinter(source, generatorOptions);
+  const { program } = ast;
+  return [
+    ...printer.slice(0, program.start),
+    ...printer.print(program),
+    ...printer.slice(program.end, source.length),
+  ];
+}
+
+// Prints `ast`, parsed from `source`, keeping the source text of everything
+// the tools did not add. Only the added nodes go through the generator, so a
+// file keeps its formatting and its line numbers.
+function printWithSource(ast, source, generatorOptions = {}) {
+  return toText(printPieces(ast, source, generatorOptions));
+}
+
+// Line and column of every position in `source`, as source maps count them
+function createLocator(source) {
+  const lineStarts = [0];
+  for (
+    let i = source.indexOf('\n');
+    i !== -1;
+    i = source.indexOf('\n', i + 1)
+  ) {
+    lineStarts.push(i + 1);
+  }
+  return (position) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= position) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: position - lineStarts[low] };
+  };
+}
+
+// Same as printWithSource, also returning a map back to `source`. Every
+// token kept from the source maps to where it was taken from, the added
+// code maps to nothing.
+function printWithSourceMap(
+  ast,
+  source,
+  { sourceFileName, sourceMaps, ...generatorOptions },
+) {
+  const pieces = printPieces(ast, source, generatorOptions);
+  const map = new GenMapping();
+  setSourceContent(map, sourceFileName, source);
+  const locate = createLocator(source);
+  let line = 1;
+  let lineStart = 0;
+  let offset = 0;
+  pieces.forEach(({ text, start }) => {
+    const token = /\n|[\w$]+|[^\s\w$]/g;
+    let match;
+    while ((match = token.exec(text))) {
+      if (match[0] === '\n') {
+        line++;
+        lineStart = offset + match.index + 1;
+      } else if (start !== null) {
+        maybeAddMapping(map, {
+          generated: { line, column: offset + match.index - lineStart },
+          source: sourceFileName,
+          original: locate(start + match.index),
+        });
+      }
+    }
+    offset += text.length;
+  });
+  return { code: toText(pieces), map: toEncodedMap(map) };
+}
+
+module.exports = {
+  printWithSource,
+  printWithSourceMap,
+  getParenthesizedRange,
+  findClosingParen,
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const { getParserOptions } = require('./parserOptions');
+
+// `--component` and `--within` name the functions to instrument in,
+// `--hook` the custom hooks and `--line` the lines. The target is plain
+// data, so it can be sent to worker threads, and is turned into a matcher
+// per file.
+function createTarget({ component = [], hook = [], line = [] }, within = []) {
+  if (
+    component.length === 0 &&
+    hook.length === 0 &&
+    line.length === 0 &&
+    within.length === 0
+  ) {
+    return null;
+  }
+
+  return {
+    scopes: [...component, ...within],
+    hooks: hook,
+    lines: line.map((value) => {
+      const separator = value.lastIndexOf(':');
+      return {
+        filePath: path.resolve(value.slice(0, separator)),
+        line: Number(value.slice(separator + 1)),
+      };
+    }),
+  };
+}
+
+// A plain name matches itself, anything else is a regular expression that
+// has to match the whole name, e.g. `Todo.*`
+function createNameMatcher(pattern) {
+  if (/^[\w$]+$/.test(pattern)) {
+    return (name) => name === pattern;
+  }
+  const regex = new RegExp(`^(?:${pattern})$`);
+  return (name) => regex.test(name);
+}
+
+// `useFetch` is a custom hook, `user` or `usePrefix_` are not
+function isCustomHookName(name) {
+  return /^use[A-Z0-9]/.test(name);
+}
+
+// Name of a function declaration, or of the variable it is assigned to,
+// also through wrappers such as `memo(() => ...)`
+function getFunctionName(functionPath) {
+  if (functionPath.node.id) {
+    return functionPath.node.id.name;
+  }
+  if (functionPath.isObjectMethod() || functionPath.isClassMethod()) {
+    return functionPath.node.key.name || null;
+  }
+  if (functionPath.parentPath.isObjectProperty()) {
+    return functionPath.parent.key.name || null;
+  }
+  const owner = functionPath.findParent(
+    (p) => p.isVariableDeclarator() || p.isFunction() || p.isStatement(),
+  );
+  return owner && owner.isVariableDeclarator() && owner.node.id.name
+    ? owner.node.id.name
+    : null;
+}
+
+// Names of `functionPath` and of the functions around it, innermost first
+function getFunctionNames(functionPath) {
+  const names = [];
+  let current = functionPath;
+  while (current) {
+    const name = getFunctionName(current);
+    if (name) {
+      names.push(name);
+    }
+    current = current.getFunctionParent();
+  }
+  return names;
+}
+
+// Returns null when every node is a target. Otherwise `matches(functionPath,
+// node)` tells whether the node, inside the function at `functionPath`, is
+// one. A node matches when one of the functions it is in matches a scope and
+// when it spans one of the lines given for the file.
+function createTargetMatcher(target, filePath) {
+  if (!target) {
+    return null;
+  }
+  // Scopes from --within name components by file, as `src/Card.tsx#Card`,
+  // and only apply in that file
+  const scopes = target.scopes
+    .filter((scope) => {
+      const separator = scope.lastIndexOf('#');
+      return (
+        separator === -1 ||
+        path.resolve(scope.slice(0, separator)) === path.resolve(filePath)
+      );
+    })
+    .map((scope) => createNameMatcher(scope.slice(scope.lastIndexOf('#') + 1)));
+  const hooks = target.hooks.map(createNameMatcher);
+  const matchesName = (name) =>
+    scopes.some((matches) => matches(name)) ||
+    (isCustomHookName(name) && hooks.some((matches) => matches(name)));
+  const lines = target.lines
+    .filter((entry) => entry.filePath === path.resolve(filePath))
+    .map((entry) => entry.line);
+
+  return {
+    matches(functionPath, node) {
+      if (target.scopes.length > 0 || target.hooks.length > 0) {
+        const names = functionPath ? getFunctionNames(functionPath) : [];
+        if (!names.some(matchesName)) {
+          return false;
+        }
+      }
+      return (
+        target.lines.length === 0 ||
+        Boolean(
+          node.loc &&
+          lines.some(
+            (line) => node.loc.start.line <= line && line <= node.loc.end.line,
+          ),
+        )
+      );
+    },
+  };
+}
+
+// The `component` and `hook` patterns that match no function, or no custom
+// hook, declared in `files`. Files that cannot be parsed are left to the run
+// to report.
+function findUnmatchedNames(files, { component = [], hook = [] }) {
+  const components = component.map((pattern) => ({
+    pattern,
+    matches: createNameMatcher(pattern),
+  }));
+  const hooks = hook.map((pattern) => ({
+    pattern,
+    matches: createNameMatcher(pattern),
+  }));
+  const matched = new Set();
+
+  files.forEach((filePath) => {
+    if (matched.size === components.length + hooks.length) return;
+    let ast;
+    try {
+      ast = parser.parse(
+        fs.readFileSync(filePath, 'utf-8'),
+        getParserOptions(filePath, ['decorators-legacy']),
+      );
+    } catch (error) {
+      return;
+    }
+    traverse(ast, {
+      Function(functionPath) {
+        const name = getFunctionName(functionPath);
+        if (!name) return;
+        components
+          .filter((entry) => entry.matches(name))
+          .forEach((entry) => matched.add(entry));
+        if (isCustomHookName(name)) {
+          hooks
+            .filter((entry) => entry.matches(name))
+            .forEach((entry) => matched.add(entry));
+        }
+      },
+    });
+  });
+
+  return {
+    component: components
+      .filter((entry) => !matched.has(entry))
+      .map((entry) => entry.pattern),
+    hook: hooks
+      .filter((entry) => !matched.has(entry))
+      .map((entry) => entry.pattern),
+  };
+}
+
+module.exports = {
+  createTarget,
+  createNameMatcher,
+  createTargetMatcher,
+  findUnmatchedNames,
+  isCustomHookName,
+};
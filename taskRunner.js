@@ -0,0 +1,110 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const fileTasks = require('./fileTasks');
+const logger = require('./logger');
+
+// Runs the tasks of fileTasks.js in this thread
+function createLocalRunner() {
+  return {
+    run: (task, filePath, ...args) =>
+      new Promise((resolve) => resolve(fileTasks[task](filePath, ...args))),
+    close: () => Promise.resolve(),
+  };
+}
+
+// Starts a worker thread for createWorkerPool. A worker that crashes or
+// exits fails the tasks it was running and is marked as dead.
+function startWorker() {
+  const worker = new Worker(path.join(__dirname, 'taskWorker.js'));
+  const entry = { worker, pending: new Map(), alive: true };
+  const fail = (error) => {
+    entry.alive = false;
+    entry.pending.forEach(({ reject }) => reject(error));
+    entry.pending.clear();
+  };
+
+  worker.on('message', ({ id, result, error }) => {
+    const { resolve, reject } = entry.pending.get(id);
+    entry.pending.delete(id);
+    if (entry.pending.size === 0) {
+      worker.unref();
+    }
+    if (error) {
+      reject(new Error(error));
+    } else {
+      resolve(result);
+    }
+  });
+  worker.on('error', fail);
+  worker.on('exit', (code) =>
+    fail(new Error(`Worker thread stopped with exit code ${code}`)),
+  );
+  // Idle workers must not keep the process alive, e.g. while a prompt
+  // waits for input that never comes
+  worker.unref();
+  return entry;
+}
+
+// Runs the tasks of fileTasks.js on `jobs` worker threads. A file always goes
+// to the same worker, so the AST its scan kept in the parse cache is found
+// again by the rewrite. When that worker has died, a new one takes its place
+// and parses the file again.
+function createWorkerPool(jobs) {
+  const workers = [];
+  const assigned = new Map();
+  let nextId = 0;
+
+  for (let index = 0; index < jobs; index++) {
+    workers.push(startWorker());
+  }
+
+  return {
+    run(task, filePath, ...args) {
+      if (!assigned.has(filePath)) {
+        assigned.set(filePath, assigned.size % workers.length);
+      }
+      const index = assigned.get(filePath);
+      if (!workers[index].alive) {
+        workers[index] = startWorker();
+      }
+      const { worker, pending } = workers[index];
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        worker.ref();
+        worker.postMessage({ id, task, args: [filePath, ...args] });
+      });
+    },
+    close: () => Promise.all(workers.map(({ worker }) => worker.terminate())),
+  };
+}
+
+function createTaskRunner(jobs = 1) {
+  return jobs > 1 ? createWorkerPool(jobs) : createLocalRunner();
+}
+
+// Runs `task` for every file and hands the results to `onResult` in the
+// order of `files`, whichever worker finishes first. Files the task leaves
+// alone return null, files it fails on are reported and added to `failures`.
+async function runFileTasks(runner, task, files, args, onResult, failures) {
+  const results = files.map((filePath) =>
+    runner.run(task, filePath, ...args).then(
+      (result) => ({ result }),
+      (error) => ({ error }),
+    ),
+  );
+
+  for (let index = 0; index < files.length; index++) {
+    const { result, error } = await results[index];
+    if (error) {
+      logger.reportFailure(files[index], error, failures);
+    } else if (result !== null) {
+      onResult(files[index], result);
+    }
+  }
+}
+
+module.exports = {
+  createTaskRunner,
+  runFileTasks,
+};
@@ -0,0 +1,11 @@
+const { parentPort } = require('worker_threads');
+const fileTasks = require('./fileTasks');
+
+// Entry point of the worker threads started by taskRunner.js
+parentPort.on('message', ({ id, task, args }) => {
+  try {
+    parentPort.postMessage({ id, result: fileTasks[task](...args) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
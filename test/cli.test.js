@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  readFixture,
+  makeProject,
+  removeProject,
+  runCli,
+  instrument,
+  initRepository,
+  commitAll,
+} = require('./helpers');
+
+// A repository with the fixtures in `src`, everything committed
+function makeRepository() {
+  const dir = makeProject();
+  fs.mkdirSync(path.join(dir, 'src'));
+  ['Counter.jsx', 'Panel.jsx'].forEach((name) => {
+    fs.writeFileSync(path.join(dir, 'src', name), readFixture(name));
+  });
+  initRepository(dir);
+  return dir;
+}
+
+function isInstrumented(filePath) {
+  return fs.readFileSync(filePath, 'utf8').includes('/* @debugeffects */');
+}
+
+test('--since only instruments the files changed since the ref', () => {
+  const dir = makeRepository();
+  try {
+    const changed = path.join(dir, 'src', 'Fancy Näme.jsx');
+    fs.writeFileSync(changed, readFixture('Counter.jsx'));
+    commitAll(dir, 'add a file');
+
+    instrument('effects', ['--since', 'HEAD~1', 'src'], dir);
+    assert.ok(isInstrumented(changed));
+    assert.ok(!isInstrumented(path.join(dir, 'src', 'Panel.jsx')));
+    assert.ok(!isInstrumented(path.join(dir, 'src', 'Counter.jsx')));
+  } finally {
+    removeProject(dir);
+  }
+});
+
+test('--since matches the changed files through a symlinked path', () => {
+  const dir = makeRepository();
+  const link = `${dir}-link`;
+  try {
+    fs.appendFileSync(path.join(dir, 'src', 'Panel.jsx'), '\n');
+    commitAll(dir, 'change a file');
+    fs.symlinkSync(dir, link);
+
+    instrument('effects', ['--since', 'HEAD~1', path.join(link, 'src')], dir);
+    assert.ok(isInstrumented(path.join(dir, 'src', 'Panel.jsx')));
+    assert.ok(!isInstrumented(path.join(dir, 'src', 'Counter.jsx')));
+  } finally {
+    fs.rmSync(link, { force: true });
+    removeProject(dir);
+  }
+});
+
+test('files with uncommitted changes are not written', () => {
+  const dir = makeRepository();
+  const link = `${dir}-link`;
+  try {
+    const dirty = path.join(dir, 'src', 'Panel.jsx');
+    fs.appendFileSync(dirty, '\n');
+    const content = fs.readFileSync(dirty, 'utf8');
+    fs.symlinkSync(dir, link);
+
+    [path.join(dir, 'src'), path.join(link, 'src')].forEach((target) => {
+      const result = runCli(['effects', target], dir);
+      assert.strictEqual(result.status, 2);
+      assert.match(result.stderr, /uncommitted changes/);
+      assert.match(result.stderr, /Panel\.jsx/);
+      assert.strictEqual(fs.readFileSync(dirty, 'utf8'), content);
+      assert.ok(!isInstrumented(path.join(dir, 'src', 'Counter.jsx')));
+    });
+
+    instrument('effects', ['--allow-dirty', path.join(link, 'src')], dir);
+    assert.ok(isInstrumented(dirty));
+  } finally {
+    fs.rmSync(link, { force: true });
+    removeProject(dir);
+  }
+});
+
+test('restore puts back the files of a run from anywhere in the project', () => {
+  const dir = makeRepository();
+  const src = path.join(dir, 'src');
+  try {
+    fs.writeFileSync(path.join(dir, 'package.json'), '{}\n');
+    commitAll(dir, 'add package.json');
+    instrument('effects', ['.'], src);
+    assert.ok(fs.existsSync(path.join(dir, '.debugeffects', 'backup')));
+    assert.ok(!fs.existsSync(path.join(src, '.debugeffects')));
+
+    const counter = path.join(src, 'Counter.jsx');
+    const panel = path.join(src, 'Panel.jsx');
+    instrument('restore', [], src);
+    assert.strictEqual(
+      fs.readFileSync(counter, 'utf8'),
+      readFixture('Counter.jsx'),
+    );
+
+    instrument('effects', ['.'], src);
+    fs.rmSync(panel);
+    const refused = runCli(['restore'], src);
+    assert.strictEqual(refused.status, 2);
+    assert.match(refused.stderr, /No backup matches the current files/);
+
+    const backups = runCli(['restore', '--list'], src).stdout.trim();
+    const [id] = backups.split('\n').pop().split(' ');
+    instrument('restore', ['--force', id], src);
+    assert.strictEqual(
+      fs.readFileSync(counter, 'utf8'),
+      readFixture('Counter.jsx'),
+    );
+    assert.strictEqual(
+      fs.readFileSync(panel, 'utf8'),
+      readFixture('Panel.jsx'),
+    );
+  } finally {
+    removeProject(dir);
+  }
+});
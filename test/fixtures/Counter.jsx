@@ -0,0 +1,23 @@
+import { useState, useEffect, useMemo } from 'react';
+
+export default function Counter({ step, onChange }) {
+  const [count, setCount] = useState(0);
+  const bump = () => (setCount(count + step), onChange(count + step));
+  const reset = () => setCount(0);
+  const half = () => (setCount(count / 2));
+  const label = useMemo(() => ({ text: `${count}` }), [count]);
+
+  useEffect(() => setCount(step), [step]);
+
+  useEffect(() => {
+    if (count > 10) setCount(0), onChange(0);
+  }, [count, onChange]);
+
+  return (
+    <div>
+      <button onClick={bump}>{label.text}</button>
+      <button onClick={reset}>reset</button>
+      <button onClick={half}>half</button>
+    </div>
+  );
+}
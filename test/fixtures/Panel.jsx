@@ -0,0 +1,46 @@
+// header comment
+'use client';
+import React, { useState, useEffect, useLayoutEffect, useCallback } from 'react';
+
+const makeOpts = (a) => ({ a, b: 2 });
+
+function sync() {
+  return () => {};
+}
+
+export default function Panel({ items, onPick }) {
+  const [open, setOpen] = useState(false);
+  const [sel, setSel] = useState(null);
+  const opts = { deep: true };
+
+  useLayoutEffect(sync, [opts]);
+
+  useEffect(() => {
+    const id = setInterval(() => setSel((s) => s), 1000);
+    return () => clearInterval(id);
+  }, [items]);
+
+  useEffect(() => {}, []);
+
+  const pick = useCallback(
+    (item) => {
+      setSel(item);
+      onPick && onPick(item);
+    },
+    [onPick],
+  );
+
+  if (!items.length) return <p>empty</p>;
+
+  return (
+    <>
+      <button onClick={() => setOpen((o) => !o)}>toggle</button>
+      {open &&
+        items.map((item) => (
+          <span key={item} onClick={() => pick(item)}>
+            {item}
+          </span>
+        ))}
+    </>
+  );
+}
@@ -0,0 +1,21 @@
+import React, { useState, useEffect } from 'react';
+
+type Props = { id: string; tags?: string[] };
+
+export function Tag<T extends string>({ id, tags = [] }: Props): JSX.Element {
+  const [value, setValue] = useState<T | null>(null);
+  const cast = <U,>(x: unknown) => x as U;
+  useEffect(() => {
+    setValue(cast<T>(id));
+  }, [id]);
+  return <b onClick={() => setValue(null)}>{tags.join(', ')}</b>;
+}
+
+export class Old extends React.Component<Props> {
+  handle(): void {
+    this.setState({});
+  }
+  render() {
+    return <i>{this.props.id}</i>;
+  }
+}
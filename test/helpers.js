@@ -0,0 +1,99 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Options that let each command run without a prompt
+const COMMAND_OPTIONS = {
+  effects: [],
+  state: [],
+  functions: ['--categories', 'hooks,handlers,utils'],
+  profile: ['--all'],
+};
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+// A new temporary directory holding a copy of the fixture files
+function makeProject(files = []) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'debugeffects-'));
+  files.forEach((name) => {
+    fs.copyFileSync(path.join(FIXTURES, name), path.join(dir, name));
+  });
+  return dir;
+}
+
+function removeProject(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Runs the CLI in `cwd`. Returns its exit code and output instead of
+// throwing when the command fails.
+function runCli(args, cwd) {
+  try {
+    const stdout = execFileSync(process.execPath, [CLI, ...args], {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    return { status: 0, stdout, stderr: '' };
+  } catch (error) {
+    if (typeof error.status !== 'number') throw error;
+    return {
+      status: error.status,
+      stdout: error.stdout,
+      stderr: error.stderr,
+    };
+  }
+}
+
+// Runs a command on the files, failing on a non-zero exit
+function instrument(command, files, cwd, extraArgs = []) {
+  const result = runCli(
+    [
+      command,
+      '--quiet',
+      ...(COMMAND_OPTIONS[command] || []),
+      ...extraArgs,
+      ...files,
+    ],
+    cwd,
+  );
+  if (result.status !== 0) {
+    throw new Error(`${command} failed: ${result.stderr}`);
+  }
+  return result;
+}
+
+function git(args, cwd) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8' });
+}
+
+// Turns `dir` into a git repository with everything in it committed
+function initRepository(dir) {
+  git(['init', '--quiet'], dir);
+  git(['config', 'user.email', 'test@example.com'], dir);
+  git(['config', 'user.name', 'Test'], dir);
+  commitAll(dir, 'initial');
+}
+
+function commitAll(dir, message) {
+  git(['add', '-A'], dir);
+  git(['commit', '--quiet', '-m', message], dir);
+}
+
+module.exports = {
+  COMMAND_OPTIONS,
+  readFixture,
+  makeProject,
+  removeProject,
+  runCli,
+  instrument,
+  git,
+  initRepository,
+  commitAll,
+};
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  instrumentEffects,
+  analyzeStateInit,
+  buildComponentGraph,
+} = require('..');
+const { makeProject, removeProject } = require('./helpers');
+
+// Calls `run` with console output captured, returning its result and what
+// it printed
+function capture(run) {
+  const printed = [];
+  const methods = ['log', 'warn', 'error'];
+  const originals = methods.map((method) => console[method]);
+  methods.forEach((method) => {
+    console[method] = (...args) => printed.push(args.join(' '));
+  });
+  try {
+    return { result: run(), printed };
+  } finally {
+    methods.forEach((method, index) => {
+      console[method] = originals[index];
+    });
+  }
+}
+
+test('the file walk returns its problems instead of printing them', () => {
+  const dir = makeProject(['Counter.jsx']);
+  try {
+    fs.symlinkSync(dir, path.join(dir, 'loop'));
+    fs.symlinkSync(path.join(dir, 'missing'), path.join(dir, 'broken.jsx'));
+
+    [analyzeStateInit, buildComponentGraph].forEach((analyze) => {
+      const { result, printed } = capture(() => analyze([dir]));
+      assert.deepStrictEqual(printed, []);
+      assert.deepStrictEqual(
+        result.failures.map(({ filePath }) => filePath),
+        [path.join(dir, 'broken.jsx')],
+      );
+      assert.strictEqual(result.warnings.length, 1);
+      assert.match(result.warnings[0], /symlink cycle/);
+    });
+  } finally {
+    removeProject(dir);
+  }
+});
+
+test('unread deps are only reported for memoizing hooks', () => {
+  const code = [
+    "import { useEffect, useMemo } from 'react';",
+    'export function Search({ query, page }) {',
+    '  useEffect(() => {',
+    '    window.scrollTo(0, 0);',
+    '  }, [page]);',
+    '  const label = useMemo(() => query.trim(), [query, page]);',
+    '  return label;',
+    '}',
+  ].join('\n');
+  const { dependencyFindings } = instrumentEffects(code, {
+    filePath: 'Search.jsx',
+    analyzeDeps: true,
+  });
+  assert.deepStrictEqual(
+    dependencyFindings.map(({ hookName, unnecessary }) => ({
+      hookName,
+      unnecessary,
+    })),
+    [{ hookName: 'useMemo', unnecessary: ['page'] }],
+  );
+});
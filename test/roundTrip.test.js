@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {
+  readFixture,
+  makeProject,
+  removeProject,
+  instrument,
+} = require('./helpers');
+
+const FIXTURES = ['Counter.jsx', 'Panel.jsx', 'Tag.tsx'];
+const COMMANDS = ['effects', 'state', 'functions', 'profile'];
+
+// Runs the commands one after the other on copies of the fixtures, then
+// `remove`, and returns every file as it was before and after `remove`
+function roundTrip(fixtures, commands, extraArgs = []) {
+  const dir = makeProject(fixtures);
+  const read = (fixture) => fs.readFileSync(path.join(dir, fixture), 'utf8');
+  try {
+    commands.forEach((command) =>
+      instrument(command, fixtures, dir, extraArgs),
+    );
+    const instrumented = fixtures.map(read);
+    instrument('remove', fixtures, dir);
+    return fixtures.map((fixture, index) => ({
+      fixture,
+      instrumented: instrumented[index],
+      removed: read(fixture),
+    }));
+  } finally {
+    removeProject(dir);
+  }
+}
+
+test('state and remove keep the comma expressions around setters', () => {
+  const [{ instrumented, removed }] = roundTrip(['Counter.jsx'], ['state']);
+  assert.match(
+    instrumented,
+    /\(\(\/\* @debugeffects \*\/logStateSet\("bump", "count", count \+ step\), setCount\(count \+ step\)\), onChange\(count \+ step\)\)/,
+  );
+  assert.strictEqual(removed, readFixture('Counter.jsx'));
+});
+
+// Each command reads what the one before wrote, markers of earlier runs
+// included, so `remove` can still take everything out again
+COMMANDS.forEach((first) => {
+  test(`${first} and remove give back the fixtures`, () => {
+    roundTrip(FIXTURES, [first]).forEach(({ fixture, removed }) => {
+      assert.strictEqual(removed, readFixture(fixture), fixture);
+    });
+  });
+
+  COMMANDS.forEach((second) => {
+    test(`${first}, ${second} and remove give back the fixtures`, () => {
+      roundTrip(FIXTURES, [first, second]).forEach(({ fixture, removed }) => {
+        assert.strictEqual(removed, readFixture(fixture), fixture);
+      });
+    });
+  });
+});
+
+test('a second state run does not log the setters twice', () => {
+  const [once] = roundTrip(['Counter.jsx'], ['state']);
+  const [twice] = roundTrip(['Counter.jsx'], ['state', 'effects', 'state']);
+  assert.strictEqual(
+    twice.instrumented.match(/logStateSet\(/g).length,
+    once.instrumented.match(/logStateSet\(/g).length,
+  );
+});
+
+test('--source-map keeps the formatting and maps to the source', () => {
+  COMMANDS.forEach((command) => {
+    roundTrip(FIXTURES, [command], ['--source-map']).forEach(
+      ({ fixture, instrumented, removed }) => {
+        const original = readFixture(fixture);
+        const [, encoded] = /base64,(.*)\n$/.exec(instrumented);
+        const map = JSON.parse(Buffer.from(encoded, 'base64').toString());
+        assert.deepStrictEqual(map.sources, [fixture]);
+        assert.deepStrictEqual(map.sourcesContent, [original]);
+        assert.notStrictEqual(map.mappings, '');
+        // Every line stays where it was
+        assert.strictEqual(
+          instrumented.slice(0, instrumented.lastIndexOf('\n//#')).split('\n')
+            .length,
+          original.split('\n').length,
+          `${command} ${fixture}`,
+        );
+        assert.strictEqual(removed, original, `${command} ${fixture}`);
+      },
+    );
+  });
+});
+
+test('the commands give the same files on worker threads', () => {
+  const inThread = roundTrip(FIXTURES, COMMANDS);
+  const onWorkers = roundTrip(FIXTURES, COMMANDS, ['--jobs', '2']);
+  onWorkers.forEach(({ fixture, instrumented, removed }, index) => {
+    assert.strictEqual(instrumented, inThread[index].instrumented, fixture);
+    assert.strictEqual(removed, readFixture(fixture), fixture);
+  });
+});
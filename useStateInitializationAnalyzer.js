@@ -1,124 +1,131 @@
 const fs = require('fs');
 const path = require('path');
 const parser = require('@babel/parser');
+const { getParserOptions } = require('./parserOptions');
 const traverse = require('@babel/traverse').default;
+const { createTaskRunner, runFileTasks } = require('./taskRunner');
+const logger = require('./logger');
 
-function analyzeFile(filePath) {
+// Complex useState initializations of one file
+function findInitializations(filePath) {
   const content = fs.readFileSync(filePath, 'utf-8');
 
   if (!content.includes('useState')) {
-    return;
+    return [];
   }
 
-  try {
-    const ast = parser.parse(content, {
-      sourceType: 'module',
-      plugins: ['jsx', 'typescript'],
-    });
+  const ast = parser.parse(content, getParserOptions(filePath));
 
-    let useStateImported = false;
-    const findings = [];
-
-    traverse(ast, {
-      ImportDeclaration(path) {
-        if (path.node.source.value === 'react') {
-          const specifier = path.node.specifiers.find(
-            (spec) => spec.imported?.name === 'useState',
-          );
-          if (specifier) {
-            useStateImported = true;
-          }
+  let useStateImported = false;
+  const findings = [];
+
+  traverse(ast, {
+    ImportDeclaration(path) {
+      if (path.node.source.value === 'react') {
+        const specifier = path.node.specifiers.find(
+          (spec) => spec.imported?.name === 'useState',
+        );
+        if (specifier) {
+          useStateImported = true;
         }
-      },
+      }
+    },
 
-      CallExpression(path) {
-        if (!useStateImported) return;
-
-        if (path.node.callee.name === 'useState') {
-          const [initialValue] = path.node.arguments;
-          if (!initialValue) return;
-
-          // Get component name and location info
-          const componentName = findComponentName(path);
-          const loc = path.node.loc;
-          const lineNumber = loc?.start?.line;
-
-          // Get the variable name being initialized
-          let variableName = '';
-          if (
-            path.parent.type === 'VariableDeclarator' &&
-            path.parent.id.type === 'ArrayPattern'
-          ) {
-            variableName = path.parent.id.elements[0]?.name || 'unknown';
-          }
-
-          // Check for complex initializations
-          let isComplex = false;
-          let reason = '';
-          let initCode = content.slice(initialValue.start, initialValue.end);
-
-          if (
-            initialValue.type === 'ArrowFunctionExpression' ||
-            initialValue.type === 'FunctionExpression'
-          ) {
-            isComplex = true;
-            reason = 'Function initialization';
-          } else if (initialValue.type === 'ConditionalExpression') {
-            isComplex = true;
-            reason = 'Ternary operator';
-          } else if (initialValue.type === 'LogicalExpression') {
-            isComplex = true;
-            reason = 'Logical expression';
-          } else if (initialValue.type === 'CallExpression') {
-            isComplex = true;
-            reason = 'Function call';
-          } else if (
-            initialValue.type === 'ObjectExpression' &&
-            initialValue.properties.length > 0
-          ) {
-            isComplex = true;
-            reason = 'Complex object';
-          } else if (
-            initialValue.type === 'ArrayExpression' &&
-            initialValue.elements.length > 0
-          ) {
-            isComplex = true;
-            reason = 'Non-empty array';
-          } else if (initialValue.type === 'BinaryExpression') {
-            isComplex = true;
-            reason = 'Binary expression';
-          }
-          // Skip basic initializations
-          else if (
-            initialValue.type === 'BooleanLiteral' ||
-            (initialValue.type === 'StringLiteral' &&
-              initialValue.value === '') ||
-            (initialValue.type === 'NumericLiteral' &&
-              initialValue.value === 0) ||
-            initialValue.type === 'NullLiteral' ||
-            (initialValue.type === 'Identifier' &&
-              initialValue.name === 'undefined')
-          ) {
-            return;
-          }
-
-          if (isComplex) {
-            findings.push({
-              componentName,
-              variableName,
-              filePath,
-              lineNumber,
-              reason,
-              initialization: initCode.trim(),
-            });
-          }
+    CallExpression(path) {
+      if (!useStateImported) return;
+
+      if (path.node.callee.name === 'useState') {
+        const [initialValue] = path.node.arguments;
+        if (!initialValue) return;
+
+        // Get component name and location info
+        const componentName = findComponentName(path);
+        const loc = path.node.loc;
+        const lineNumber = loc?.start?.line;
+        const column = loc?.start ? loc.start.column + 1 : undefined;
+
+        // Get the variable name being initialized
+        let variableName = '';
+        if (
+          path.parent.type === 'VariableDeclarator' &&
+          path.parent.id.type === 'ArrayPattern'
+        ) {
+          variableName = path.parent.id.elements[0]?.name || 'unknown';
         }
-      },
-    });
 
-    return findings;
+        // Check for complex initializations
+        let isComplex = false;
+        let reason = '';
+        let initCode = content.slice(initialValue.start, initialValue.end);
+
+        if (
+          initialValue.type === 'ArrowFunctionExpression' ||
+          initialValue.type === 'FunctionExpression'
+        ) {
+          isComplex = true;
+          reason = 'Function initialization';
+        } else if (initialValue.type === 'ConditionalExpression') {
+          isComplex = true;
+          reason = 'Ternary operator';
+        } else if (initialValue.type === 'LogicalExpression') {
+          isComplex = true;
+          reason = 'Logical expression';
+        } else if (initialValue.type === 'CallExpression') {
+          isComplex = true;
+          reason = 'Function call';
+        } else if (
+          initialValue.type === 'ObjectExpression' &&
+          initialValue.properties.length > 0
+        ) {
+          isComplex = true;
+          reason = 'Complex object';
+        } else if (
+          initialValue.type === 'ArrayExpression' &&
+          initialValue.elements.length > 0
+        ) {
+          isComplex = true;
+          reason = 'Non-empty array';
+        } else if (initialValue.type === 'BinaryExpression') {
+          isComplex = true;
+          reason = 'Binary expression';
+        }
+        // Skip basic initializations
+        else if (
+          initialValue.type === 'BooleanLiteral' ||
+          (initialValue.type === 'StringLiteral' &&
+            initialValue.value === '') ||
+          (initialValue.type === 'NumericLiteral' &&
+            initialValue.value === 0) ||
+          initialValue.type === 'NullLiteral' ||
+          (initialValue.type === 'Identifier' &&
+            initialValue.name === 'undefined')
+        ) {
+          return;
+        }
+
+        if (isComplex) {
+          findings.push({
+            componentName,
+            variableName,
+            filePath,
+            lineNumber,
+            column,
+            reason,
+            initialization: initCode.trim(),
+          });
+        }
+      }
+    },
+  });
+
+  return findings;
+}
+
+function analyzeFile(filePath, failures) {
+  try {
+    return findInitializations(filePath);
   } catch (error) {
-    console.error(`Error processing ${filePath}:`, error);
+    logger.reportFailure(filePath, error, failures);
     return [];
   }
 }
@@ -143,61 +150,39 @@ function findComponentName(path) {
   return 'Unknown Component';
 }
 
-function processDirectory(directoryPath) {
-  const allFindings = [];
-
-  function traverse(currentPath) {
-    const files = fs.readdirSync(currentPath);
+// `debugeffects analyze-state`: only reports, never changes the files
+async function run(files, options) {
+  const failures = [];
+  const findings = [];
 
-    files.forEach((file) => {
-      const filePath = path.join(currentPath, file);
-      const stats = fs.statSync(filePath);
+  await runFileTasks(
+    options.runner || createTaskRunner(),
+    'analyze-state',
+    files,
+    [],
+    (filePath, fileFindings) => findings.push(...fileFindings),
+    failures,
+  );
 
-      if (stats.isDirectory()) {
-        if (file !== 'node_modules' && file !== 'build' && file !== 'dist') {
-          traverse(filePath);
-        }
-      } else if (file.match(/\.(jsx?|tsx?)$/)) {
-        const findings = analyzeFile(filePath);
-        if (findings && findings.length > 0) {
-          allFindings.push(...findings);
-        }
-      }
-    });
+  if (findings.length === 0) {
+    logger.info('No complex useState initializations found.');
+    return { ...checkLimit(findings, options.maxFindings), failures };
   }
 
-  traverse(directoryPath);
-  return allFindings;
-}
-
-// Main execution
-if (process.argv.length < 3) {
-  console.log('Please provide the React project directory path');
-  process.exit(1);
-}
-
-const projectPath = process.argv[2];
-console.log(`Analyzing React project at: ${projectPath}\n`);
-
-const findings = processDirectory(projectPath);
-
-if (findings.length === 0) {
-  console.log('No complex useState initializations found.');
-} else {
-  console.log(`Found ${findings.length} complex useState initializations:\n`);
+  logger.info(`Found ${findings.length} complex useState initializations:\n`);
 
   findings.forEach((finding, index) => {
-    console.log(
+    logger.info(
       `${index + 1}. ${finding.componentName} (${finding.variableName})`,
     );
-    console.log(
+    logger.info(
       `   File: ${path.relative(process.cwd(), finding.filePath)}:${
         finding.lineNumber
-      }`,
+      }:${finding.column}`,
     );
-    console.log(`   Type: ${finding.reason}`);
-    console.log(`   Init: ${finding.initialization}`);
-    console.log();
+    logger.info(`   Type: ${finding.reason}`);
+    logger.info(`   Init: ${finding.initialization}`);
+    logger.info();
   });
 
   // Print summary by type
@@ -206,10 +191,98 @@ if (findings.length === 0) {
     return acc;
   }, {});
 
-  console.log('\nSummary by initialization type:');
+  logger.info('\nSummary by initialization type:');
   Object.entries(typeCount)
     .sort(([, a], [, b]) => b - a)
     .forEach(([type, count]) => {
-      console.log(`${type}: ${count}`);
+      logger.info(`${type}: ${count}`);
+    });
+
+  return { ...checkLimit(findings, options.maxFindings), failures };
+}
+
+// With `maxFindings` the run fails once there are more findings than that,
+// so a CI job can keep their number from growing
+function checkLimit(findings, maxFindings) {
+  const limitExceeded =
+    maxFindings !== undefined && findings.length > maxFindings;
+  if (limitExceeded) {
+    logger.warn(
+      `\n${findings.length} complex useState initializations, more than the limit of ${maxFindings}`,
+    );
+  }
+  return { findings, total: findings.length, limitExceeded };
+}
+
+function getRuleId(reason) {
+  return `usestate-init/${reason.toLowerCase().replace(/\s+/g, '-')}`;
+}
+
+// The findings as a SARIF 2.1.0 log, the format code review tools read to
+// show findings next to the code. Paths are relative to `rootDir`.
+function toSarif(findings, rootDir = process.cwd()) {
+  const reasons = [...new Set(findings.map((finding) => finding.reason))];
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'debugeffects',
+            version: require('./package.json').version,
+            rules: reasons.map((reason) => ({
+              id: getRuleId(reason),
+              name: reason,
+              shortDescription: {
+                text: `Complex useState initialization: ${reason}`,
+              },
+            })),
+          },
+        },
+        results: findings.map((finding) => ({
+          ruleId: getRuleId(finding.reason),
+          level: 'warning',
+          message: {
+            text: `${finding.componentName} initializes ${finding.variableName} with a ${finding.reason.toLowerCase()}: ${finding.initialization}`,
+          },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: {
+                  uri: path
+                    .relative(rootDir, finding.filePath)
+                    .split(path.sep)
+                    .join('/'),
+                },
+                region: {
+                  startLine: finding.lineNumber,
+                  startColumn: finding.column,
+                  snippet: { text: finding.initialization },
+                },
+              },
+            },
+          ],
+        })),
+      },
+    ],
+  };
+}
+
+module.exports = {
+  analyzeFile,
+  findInitializations,
+  toSarif,
+  run,
+};
+
+// `node useStateInitializationAnalyzer.js <path>` is kept as a shortcut for
+// `debugeffects analyze-state`
+if (require.main === module) {
+  require('./cli')
+    .main(['analyze-state', ...process.argv.slice(2)])
+    .then((code) => {
+      process.exitCode = code;
     });
 }
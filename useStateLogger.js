@@ -1,108 +1,192 @@
 const fs = require('fs');
-const path = require('path');
 const parser = require('@babel/parser');
+const { getParserOptions } = require('./parserOptions');
 const traverse = require('@babel/traverse').default;
-const generate = require('@babel/generator').default;
 const t = require('@babel/types');
+const { markNode, isMarked } = require('./instrumentationMarker');
+const { addRuntimeImport } = require('./runtimeImport');
+const { getSourceMapOptions, withInlineSourceMap } = require('./sourceMaps');
+const { printWithSource, printWithSourceMap } = require('./sourcePrinter');
+const { createTargetMatcher } = require('./targetFilter');
+const { createTaskRunner, runFileTasks } = require('./taskRunner');
+const logger = require('./logger');
 
-function processFile(filePath) {
-  // Read the file content
-  const content = fs.readFileSync(filePath, 'utf-8');
+function isStateLogCall(node, stateName) {
+  return (
+    t.isCallExpression(node) &&
+    t.isIdentifier(node.callee, { name: 'logStateSet' }) &&
+    t.isStringLiteral(node.arguments[1], { value: stateName })
+  );
+}
 
-  // Skip if no useState is imported
-  if (!content.includes('useState')) {
-    return;
+// Whether an earlier run put a log right before the setter call. Once
+// parsed again, the marker of `(log(), setX(v))` belongs to the sequence.
+function isSetterLogged(path, stateName) {
+  const parentPath = path.parentPath;
+  if (parentPath.isExpressionStatement()) {
+    if (typeof parentPath.key !== 'number' || parentPath.key === 0) {
+      return false;
+    }
+    const previous = parentPath.getSibling(parentPath.key - 1).node;
+    return (
+      isMarked(previous) &&
+      t.isExpressionStatement(previous) &&
+      isStateLogCall(previous.expression, stateName)
+    );
   }
+  if (!parentPath.isSequenceExpression()) {
+    return false;
+  }
+  const [first] = parentPath.node.expressions;
+  return (
+    first !== path.node &&
+    (isMarked(first) || isMarked(parentPath.node)) &&
+    isStateLogCall(first, stateName)
+  );
+}
 
-  try {
-    // Parse the code into an AST
-    const ast = parser.parse(content, {
-      sourceType: 'module',
-      plugins: ['jsx', 'typescript'],
-    });
+// Logs every call of a useState setter in an already parsed file. Used by
+// instrumentFile and by the Babel plugin. `target`, from createTargetMatcher,
+// limits it to some components or lines. Returns the number of calls logged
+// and of calls an earlier run already logged, which are left alone.
+function instrumentStateSetters(programPath, runtimeModule, target = null) {
+  let settersLogged = 0;
+  let alreadyLogged = 0;
+  let useStateImported = false;
 
-    let modified = false;
-    let useStateImported = false;
+  // Track all useState variables
+  const stateSetters = new Map();
 
-    // Track all useState variables
-    const stateSetters = new Map();
+  programPath.traverse({
+    // Check if useState is imported from react
+    ImportDeclaration(path) {
+      if (path.node.source.value === 'react') {
+        const specifier = path.node.specifiers.find(
+          (spec) =>
+            t.isImportSpecifier(spec) && spec.imported.name === 'useState',
+        );
+        if (specifier) {
+          useStateImported = true;
+        }
+      }
+    },
 
-    traverse(ast, {
-      // Check if useState is imported from react
-      ImportDeclaration(path) {
-        if (path.node.source.value === 'react') {
-          const specifier = path.node.specifiers.find(
-            (spec) =>
-              t.isImportSpecifier(spec) && spec.imported.name === 'useState',
-          );
-          if (specifier) {
-            useStateImported = true;
+    // Find useState calls and track their setters
+    VariableDeclarator(path) {
+      if (!useStateImported) return;
+
+      const init = path.node.init;
+      if (
+        t.isCallExpression(init) &&
+        t.isIdentifier(init.callee) &&
+        init.callee.name === 'useState'
+      ) {
+        if (t.isArrayPattern(path.node.id)) {
+          const [state, setter] = path.node.id.elements;
+          if (state && setter) {
+            stateSetters.set(setter.name, state.name);
           }
         }
-      },
+      }
+    },
 
-      // Find useState calls and track their setters
-      VariableDeclarator(path) {
-        if (!useStateImported) return;
-
-        const init = path.node.init;
-        if (
-          t.isCallExpression(init) &&
-          t.isIdentifier(init.callee) &&
-          init.callee.name === 'useState'
-        ) {
-          if (t.isArrayPattern(path.node.id)) {
-            const [state, setter] = path.node.id.elements;
-            if (state && setter) {
-              stateSetters.set(setter.name, state.name);
-            }
-          }
+    // Add a log to setter calls
+    CallExpression(path) {
+      const callee = path.node.callee;
+      if (t.isIdentifier(callee) && stateSetters.has(callee.name)) {
+        if (target && !target.matches(path.getFunctionParent(), path.node)) {
+          return;
         }
-      },
+        const stateName = stateSetters.get(callee.name);
+        if (isSetterLogged(path, stateName)) {
+          alreadyLogged++;
+          return;
+        }
+        const componentName = findComponentName(path);
 
-      // Add console.log to setter calls
-      CallExpression(path) {
-        const callee = path.node.callee;
-        if (t.isIdentifier(callee) && stateSetters.has(callee.name)) {
-          const stateName = stateSetters.get(callee.name);
-          const componentName = findComponentName(path);
-
-          // Create console.log statement
-          const logStatement = t.expressionStatement(
-            t.callExpression(
-              t.memberExpression(t.identifier('console'), t.identifier('log')),
-              [
-                t.stringLiteral(`[${componentName}] ${stateName} updated to:`),
-                path.node.arguments[0],
-              ],
-            ),
-          );
+        // logStateSet('Component', 'state', value)
+        const logCall = t.callExpression(t.identifier('logStateSet'), [
+          t.stringLiteral(componentName),
+          t.stringLiteral(stateName),
+          path.node.arguments[0] || t.identifier('undefined'),
+        ]);
 
-          // Insert the console.log before the setter call
-          path.insertBefore(logStatement);
-          modified = true;
+        // Insert the log before the setter call. Setters used as
+        // expressions (e.g. `onClick={() => setOpen(true)}`) get a sequence
+        // expression instead so the log can be found and removed again.
+        if (path.parentPath.isExpressionStatement()) {
+          path.parentPath.insertBefore(
+            markNode(t.expressionStatement(logCall)),
+          );
+        } else {
+          path.replaceWith(
+            t.sequenceExpression([markNode(logCall), path.node]),
+          );
+          path.skip();
         }
-      },
-    });
+        settersLogged++;
+      }
+    },
+  });
 
-    if (modified) {
-      // Generate the modified code
-      const output = generate(
-        ast,
-        {
-          retainLines: true,
-          retainFunctionParens: true,
-        },
-        content,
+  if (settersLogged > 0) {
+    addRuntimeImport(programPath, ['logStateSet'], runtimeModule);
+  }
+  return { settersLogged, alreadyLogged };
+}
+
+// Logs the setter calls in `content`, the code of `filePath`.
+// `options.runtimeModule` is passed on to the runtime import,
+// `options.sourceMap` appends an inline map. Returns null when no setter
+// call was found, and `modified: null` when all of them were logged before.
+function instrumentCode(content, filePath, options = {}) {
+  // Skip if no useState is imported
+  if (!content.includes('useState')) {
+    return null;
+  }
+
+  // Parse the code into an AST
+  const ast = parser.parse(content, getParserOptions(filePath));
+
+  let result;
+  traverse(ast, {
+    Program(programPath) {
+      result = instrumentStateSetters(
+        programPath,
+        options.runtimeModule,
+        createTargetMatcher(options.target, filePath),
       );
+      programPath.stop();
+    },
+  });
 
-      // Write the modified code back to the file
-      fs.writeFileSync(filePath, output.code);
-      console.log(`Modified: ${filePath}`);
-    }
-  } catch (error) {
-    console.error(`Error processing ${filePath}:`, error);
+  const { settersLogged, alreadyLogged } = result;
+  if (settersLogged === 0) {
+    return alreadyLogged > 0
+      ? { content, modified: null, settersLogged, alreadyLogged }
+      : null;
+  }
+
+  // Only the added code is printed, the rest of the file keeps its source
+  // text, with or without an inline map
+  let modified;
+  if (options.sourceMap) {
+    const output = printWithSourceMap(
+      ast,
+      content,
+      getSourceMapOptions(filePath),
+    );
+    modified = withInlineSourceMap(output.code, output.map);
+  } else {
+    modified = printWithSource(ast, content);
   }
+
+  return { content, modified, settersLogged, alreadyLogged };
+}
+
+// Same as instrumentCode, reading the file without writing it
+function instrumentFile(filePath, options = {}) {
+  return instrumentCode(fs.readFileSync(filePath, 'utf-8'), filePath, options);
 }
 
 function findComponentName(path) {
@@ -126,31 +210,62 @@ function findComponentName(path) {
   return 'Unknown Component';
 }
 
-function processDirectory(directoryPath) {
-  const files = fs.readdirSync(directoryPath);
-
-  files.forEach((file) => {
-    const filePath = path.join(directoryPath, file);
-    const stats = fs.statSync(filePath);
+// `debugeffects state`
+async function run(files, options) {
+  let total = 0;
+  let alreadyLogged = 0;
+  const failures = [];
 
-    if (stats.isDirectory()) {
-      // Skip node_modules and build directories
-      if (file !== 'node_modules' && file !== 'build' && file !== 'dist') {
-        processDirectory(filePath);
+  logger.info(`Logging state updates in ${files.length} files`);
+  await runFileTasks(
+    options.runner || createTaskRunner(),
+    'state',
+    files,
+    [
+      {
+        runtimeModule: options.runtime,
+        sourceMap: options.sourceMap,
+        target: options.target,
+      },
+    ],
+    (filePath, fileResult) => {
+      const { content, modified, settersLogged } = fileResult;
+      alreadyLogged += fileResult.alreadyLogged;
+      if (!modified) {
+        return;
       }
-    } else if (file.match(/\.(jsx?|tsx?)$/)) {
-      processFile(filePath);
-    }
-  });
-}
+      // Write the modified code back to the file
+      options.writer.write(
+        filePath,
+        content,
+        modified,
+        { setters: settersLogged },
+        `Modified: ${filePath}`,
+      );
+      total += settersLogged;
+    },
+    failures,
+  );
+  logger.info('Finished processing files');
+  if (alreadyLogged > 0) {
+    logger.info(`Setter calls already logged: ${alreadyLogged}`);
+  }
 
-// Main execution
-if (process.argv.length < 3) {
-  console.log('Please provide the React project directory path');
-  process.exit(1);
+  return { failures, total, alreadyLogged };
 }
 
-const projectPath = process.argv[2];
-console.log(`Processing React project at: ${projectPath}`);
-processDirectory(projectPath);
-console.log('Finished processing files');
+module.exports = {
+  instrumentStateSetters,
+  instrumentCode,
+  instrumentFile,
+  run,
+};
+
+// `node useStateLogger.js <path>` is kept as a shortcut for `debugeffects state`
+if (require.main === module) {
+  require('./cli')
+    .main(['state', ...process.argv.slice(2)])
+    .then((code) => {
+      process.exitCode = code;
+    });
+}
@@ -1,20 +1,5 @@
-const fs = require('fs');
-
-function validatePath(targetPath) {
-  if (!targetPath) {
-    console.error('Please provide a path as an argument');
-    console.log('Usage: node debug-useeffects.js <path>');
-    return false;
-  }
-
-  if (!fs.existsSync(targetPath)) {
-    console.error(`Path not found: ${targetPath}`);
-    return false;
-  }
-
-  return true;
-}
-
+// Returns false, after printing how to install them, when the Babel
+// packages the commands need are missing
 function checkDependencies() {
   const requiredDeps = [
     '@babel/parser',
@@ -37,12 +22,13 @@ function checkDependencies() {
     console.error(
       'Required dependencies are missing. Please install them manually:',
     );
-    console.error(`npm install --save-dev ${missingDeps.join(' ')}`);
-    process.exit(1);
+    console.error(`npm install ${missingDeps.join(' ')}`);
+    return false;
   }
+
+  return true;
 }
 
 module.exports = {
-  validatePath,
   checkDependencies,
 };
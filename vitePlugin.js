@@ -0,0 +1,31 @@
+const { shouldTransform, transformForBundler } = require('./bundlerTransform');
+const { isInstrumentationEnabled } = require('./pluginOptions');
+
+// Vite plugin, runs before the React plugin. It only instruments the dev
+// server and non-production builds unless `enabled: true` is passed.
+function debugEffectsVitePlugin(options = {}) {
+  let enabled = false;
+
+  return {
+    name: 'debugeffects',
+    enforce: 'pre',
+
+    configResolved(config) {
+      enabled =
+        options.enabled !== undefined
+          ? Boolean(options.enabled)
+          : !config.isProduction && isInstrumentationEnabled(options);
+    },
+
+    async transform(code, id) {
+      const [filePath] = id.split('?');
+      if (!enabled || id.startsWith('\0') || !shouldTransform(filePath)) {
+        return null;
+      }
+      // Vite chains the returned map with the ones of the other plugins
+      return transformForBundler(code, filePath, options);
+    },
+  };
+}
+
+module.exports = debugEffectsVitePlugin;
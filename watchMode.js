@@ -0,0 +1,121 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  createPathFilter,
+  isSkippedDirectory,
+  listSourceFiles,
+} = require('./sourceFiles');
+const { hashContent } = require('./backups');
+const logger = require('./logger');
+
+// Editors and formatters often write a file in several steps, so changes
+// are handled once no file has changed for this long
+const DEBOUNCE_MS = 100;
+
+function readHash(filePath) {
+  try {
+    return hashContent(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Watches `targetPaths` until Ctrl-C. `onChange(files)` is called with the
+// source files that changed, one call at a time, and `onStop(files)` with
+// all source files once stopped. Resolves to what onStop returns.
+//
+// After each call the content of the files is remembered, so the events
+// caused by onChange's own writes, or by saving a file unchanged, are
+// skipped.
+function watchFiles(targetPaths, filters, { onChange, onStop }) {
+  const matches = createPathFilter(filters);
+  const listFiles = () =>
+    new Set(
+      listSourceFiles(targetPaths, filters).map((filePath) =>
+        path.resolve(filePath),
+      ),
+    );
+  let knownFiles = listFiles();
+  const hashes = new Map();
+  const pending = new Set();
+  let timer = null;
+  let queue = Promise.resolve();
+
+  const isSourceFile = (filePath) => {
+    if (!matches(filePath) || !fs.existsSync(filePath)) {
+      return false;
+    }
+    // New files are looked up again, as the ignore files may skip them
+    if (!knownFiles.has(path.resolve(filePath))) {
+      knownFiles = listFiles();
+    }
+    return knownFiles.has(path.resolve(filePath));
+  };
+
+  const handleChanges = async (filePaths) => {
+    const changed = filePaths.filter(
+      (filePath) =>
+        isSourceFile(filePath) && readHash(filePath) !== hashes.get(filePath),
+    );
+    if (changed.length === 0) {
+      return;
+    }
+
+    logger.info(`\nChanged: ${changed.join(', ')}`);
+    try {
+      await onChange(changed);
+    } catch (error) {
+      logger.warn(`Error: ${error.message}`);
+    }
+    changed.forEach((filePath) => hashes.set(filePath, readHash(filePath)));
+  };
+
+  const schedule = (filePath) => {
+    pending.add(filePath);
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const filePaths = [...pending];
+      pending.clear();
+      queue = queue.then(() => handleChanges(filePaths));
+    }, DEBOUNCE_MS);
+  };
+
+  // Directories are watched with everything below them. Files are watched
+  // through their directory, as editors often replace a file instead of
+  // writing to it.
+  const watchers = targetPaths.map((targetPath) => {
+    const isDirectory = fs.statSync(targetPath).isDirectory();
+    const dirPath = isDirectory ? targetPath : path.dirname(targetPath);
+    return fs.watch(dirPath, { recursive: isDirectory }, (event, fileName) => {
+      if (!fileName) return;
+      const filePath = path.join(dirPath, fileName);
+      const skipped = path
+        .dirname(path.relative(dirPath, filePath))
+        .split(path.sep)
+        .some((name) => name !== '.' && isSkippedDirectory(name));
+      if (
+        !skipped &&
+        (isDirectory || path.resolve(filePath) === path.resolve(targetPath))
+      ) {
+        schedule(filePath);
+      }
+    });
+  });
+
+  logger.info(`\nWatching ${targetPaths.join(', ')}. Press Ctrl-C to stop.`);
+
+  return new Promise((resolve, reject) => {
+    process.once('SIGINT', () => {
+      clearTimeout(timer);
+      watchers.forEach((watcher) => watcher.close());
+      logger.info('\nStopping, removing the instrumentation...');
+      queue
+        .then(() => onStop(listSourceFiles(targetPaths, filters)))
+        .then(resolve, reject);
+    });
+  });
+}
+
+module.exports = {
+  watchFiles,
+};
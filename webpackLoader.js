@@ -0,0 +1,25 @@
+const { shouldTransform, transformForBundler } = require('./bundlerTransform');
+const { isInstrumentationEnabled } = require('./pluginOptions');
+
+// Webpack loader, put it last in the `use` list so it runs first:
+//   use: ['babel-loader', { loader: 'debugeffects/webpackLoader', options }]
+// It is a no-op in production mode unless `enabled: true` is passed.
+function debugEffectsLoader(source, inputMap) {
+  const callback = this.async();
+  const options = this.getOptions();
+  const enabled =
+    options.enabled !== undefined
+      ? Boolean(options.enabled)
+      : this.mode !== 'production' && isInstrumentationEnabled(options);
+
+  if (!enabled || !shouldTransform(this.resourcePath)) {
+    callback(null, source, inputMap);
+    return;
+  }
+
+  transformForBundler(source, this.resourcePath, options, inputMap)
+    .then(({ code, map }) => callback(null, code, map))
+    .catch((error) => callback(error));
+}
+
+module.exports = debugEffectsLoader;